@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file cli.js
+ * @description Command-line tool: generates secret keys, inspects and signs session cookies.
+ * Available as `npx netlify-functions-session-cookie <command>`. See `USAGE` for the list of commands.
+ *
+ * Reads the same environment variables as `withSession()`, which `--secret` (and other flags) take precedence over.
+ * Cookie values can be given as is, URI-encoded, or prefixed with the name of the cookie (`session=...`).
+ */
+
+//
+// Imports
+//
+const { parseArgs } = require('util')
+const cookie = require('cookie')
+const { getConfig, getCookieName, getCookieOptions } = require('./config.js')
+const { encodeSession, inspectCookieValue } = require('./core.js')
+const { generateSecretKey } = require('./index.js')
+
+//
+// Module-level constants
+//
+/**
+ * Help message.
+ * @constant
+ * @private
+ */
+const USAGE = `Usage: netlify-functions-session-cookie <command> [options]
+
+Commands:
+  generate-key                 Generates a new secret key.
+  decode <cookie>              Shows the payload of a signed cookie, without verifying it.
+  verify <cookie>              Verifies (or decrypts) a cookie and shows its payload. Exits with code 1 if it can't be verified.
+  sign <json>                  Signs a JSON object into a cookie value.
+  cookie-options               Shows the name and attributes of the session cookie, as configured by the environment.
+
+Options:
+  -s, --secret <key>           Secret key. Can be repeated: newest first. Defaults to SESSION_COOKIE_SECRET(_PREVIOUS).
+  --encrypted                  (sign) Encrypts the cookie. Defaults to SESSION_COOKIE_ENCRYPTED.
+  --compression <method>       (sign) "none", "deflate" or "brotli".
+  --max-age <seconds>          (sign) Lifetime of the session. Defaults to SESSION_COOKIE_MAX_AGE_SPAN.
+  -h, --help                   Shows this message.`
+
+/**
+ * Flags accepted by the command-line tool. See `util.parseArgs()`.
+ * @constant
+ * @private
+ */
+const CLI_OPTIONS = {
+  secret: { type: 'string', short: 's', multiple: true },
+  encrypted: { type: 'boolean' },
+  compression: { type: 'string' },
+  'max-age': { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+/**
+ * Commands taking an input (cookie value or JSON) right after their name.
+ * That input is always read as such, even if it starts with "-" (as signatures sometimes do), and not parsed as a flag.
+ * @constant
+ * @private
+ */
+const CLI_INPUT_COMMANDS = ['decode', 'verify', 'sign']
+
+//
+// Functions
+//
+/**
+ * Runs a command of the command-line tool.
+ * Throws if the command or its arguments are invalid, or if it fails (i.e: cookie can't be verified).
+ *
+ * @param {string[]} args - Command-line arguments, without the path to node and to this script.
+ * @returns {Promise<string>} - Output of the command.
+ * @private
+ */
+async function runCommand (args) {
+  let input
+
+  // `<command> <input>`: input is set aside before flags are parsed.
+  if (CLI_INPUT_COMMANDS.includes(args[0]) && args[1] !== undefined && !['-h', '--help'].includes(args[1])) {
+    input = args[1]
+    args = [args[0], ...args.slice(2)]
+  }
+
+  const { values, positionals } = parseArgs({ args, options: CLI_OPTIONS, allowPositionals: true })
+  const [command] = positionals
+
+  if (input === undefined) {
+    input = positionals[1]
+  }
+  const options = values.secret ? { secret: values.secret } : {}
+
+  if (values.help || !command) {
+    return USAGE
+  }
+
+  switch (command) {
+    case 'generate-key':
+      return generateSecretKey()
+
+    case 'decode':
+      return formatInspection(await inspectCookieValue(readCookieValue(input), null))
+
+    case 'verify':
+      return formatInspection(await inspectCookieValue(readCookieValue(input), getConfig(options).secretKeys))
+
+    case 'sign': {
+      if (values.encrypted !== undefined) {
+        options.encrypted = values.encrypted
+      }
+
+      if (values.compression !== undefined) {
+        options.compression = values.compression
+      }
+
+      if (values['max-age'] !== undefined) {
+        options.maxAge = Number(values['max-age'])
+      }
+
+      return encodeURIComponent(await encodeSession(readJSONObject(input), getConfig(options)))
+    }
+
+    case 'cookie-options': {
+      const name = getCookieName()
+      const attributes = getCookieOptions()
+      const setCookie = cookie.serialize(name, '', attributes).replace(`${name}=`, `${name}=<value>`)
+
+      return JSON.stringify({ name, attributes, setCookie }, null, 2)
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}".\n\n${USAGE}`)
+  }
+}
+
+/**
+ * Extracts the raw value of a session cookie from command-line input.
+ * Accepts raw and URI-encoded values, optionally prefixed with the name of the cookie.
+ *
+ * @param {?string} input
+ * @returns {string}
+ * @private
+ */
+function readCookieValue (input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('A cookie value is required.')
+  }
+
+  let value = input.trim()
+
+  // "name=value": base64 values only ever end with "=".
+  const prefix = value.match(/^[^=;\s]+=(?!=|$)/)
+
+  if (prefix) {
+    value = value.substring(prefix[0].length)
+  }
+
+  try {
+    return decodeURIComponent(value)
+  } catch (err) {
+    return value
+  }
+}
+
+/**
+ * Parses command-line input as a JSON object.
+ *
+ * @param {?string} input
+ * @returns {Object}
+ * @private
+ */
+function readJSONObject (input) {
+  let data = null
+
+  try {
+    data = JSON.parse(input)
+  } catch (err) {
+    throw new Error('Session data must be valid JSON.')
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Session data must be a JSON object.')
+  }
+
+  return data
+}
+
+/**
+ * Formats the result of `inspectCookieValue()` (see `core.js`) for display.
+ * Timestamps found in session metadata are converted to ISO dates.
+ *
+ * @param {Object} inspection - From `inspectCookieValue()`.
+ * @returns {string} - JSON.
+ * @private
+ */
+function formatInspection ({ data, metadata, keyIndex, encrypted }) {
+  const now = Math.floor(Date.now() / 1000)
+  const toDate = (timestamp) => Number.isInteger(timestamp) ? new Date(timestamp * 1000).toISOString() : null
+
+  return JSON.stringify({
+    verified: keyIndex !== null,
+    keyIndex,
+    encrypted,
+    data,
+    metadata,
+    issuedAt: toDate(metadata && metadata.iat),
+    lastSeenAt: toDate(metadata && metadata.lst),
+    expiresAt: toDate(metadata && metadata.exp),
+    expired: Boolean(metadata && Number.isInteger(metadata.exp) && metadata.exp <= now)
+  }, null, 2)
+}
+
+//
+// Entry point
+//
+if (require.main === module) {
+  runCommand(process.argv.slice(2))
+    .then((output) => console.log(output))
+    .catch((err) => {
+      console.error(`Error: ${err.message}`)
+      process.exitCode = 1
+    })
+}
+
+//
+// Exports
+//
+module.exports = {
+  runCommand
+}
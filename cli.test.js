@@ -0,0 +1,128 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file cli.test.js
+ */
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { runCommand } = require('./cli.js')
+const { readSession, serializeSession, generateSecretKey, InvalidSignatureError } = require('./index.js')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk=',
+  other: 'FlO0NIeNiH9kaRHvN+VaSRxfJpXD/u8WWh4lsRsNw6o='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the command-line tool:', () => {
+  test('`generate-key` returns a 32-byte-long key, encoded in base64.', async () => {
+    expect(Buffer.from(await runCommand(['generate-key']), 'base64')).toHaveLength(32)
+  })
+
+  test('`decode` shows the payload of a signed cookie, whatever key it was signed with.', async () => {
+    const setCookie = await serializeSession({ userId: 42 }, { secret: SESSION_COOKIE_SECRET.other })
+    const pair = setCookie.split(';')[0]
+
+    for (const input of [pair, pair.substring(pair.indexOf('=') + 1), decodeURIComponent(pair.substring(pair.indexOf('=') + 1))]) {
+      const output = JSON.parse(await runCommand(['decode', input]))
+
+      expect(output).toMatchObject({ verified: false, keyIndex: null, encrypted: false, data: { userId: 42 }, expired: false })
+      expect(typeof output.metadata.sid).toBe('string')
+      expect(new Date(output.expiresAt).getTime()).toBeGreaterThan(Date.now())
+    }
+
+    const encrypted = (await serializeSession({ userId: 42 }, { encrypted: true })).split(';')[0]
+    await expect(runCommand(['decode', encrypted])).rejects.toThrow('secret key')
+  })
+
+  test('`verify` checks the cookie against the given secrets, or the ones from the environment.', async () => {
+    const signed = (await serializeSession({ userId: 42 }, { secret: SESSION_COOKIE_SECRET.other })).split(';')[0]
+    const encrypted = (await serializeSession({ userId: 42 }, { secret: SESSION_COOKIE_SECRET.other, encrypted: true })).split(';')[0]
+
+    for (const cookie of [signed, encrypted]) {
+      await expect(runCommand(['verify', cookie])).rejects.toThrow()
+
+      const output = JSON.parse(await runCommand(['verify', cookie, '-s', SESSION_COOKIE_SECRET.valid, '--secret', SESSION_COOKIE_SECRET.other]))
+      expect(output).toMatchObject({ verified: true, keyIndex: 1, encrypted: cookie === encrypted, data: { userId: 42 } })
+    }
+
+    process.env.SESSION_COOKIE_SECRET_PREVIOUS = SESSION_COOKIE_SECRET.other
+    expect(JSON.parse(await runCommand(['verify', signed])).keyIndex).toBe(1)
+  })
+
+  test('`sign` issues cookie values that session wrappers can read.', async () => {
+    const secret = generateSecretKey()
+
+    for (const args of [[], ['--encrypted', '--compression', 'deflate'], ['--max-age', '60']]) {
+      const value = await runCommand(['sign', '{"userId":42}', '--secret', secret, ...args])
+      expect((await readSession(`session=${value}`, { secret })).data).toEqual({ userId: 42 })
+    }
+
+    const output = JSON.parse(await runCommand(['decode', await runCommand(['sign', '{}', '--max-age', '60'])]))
+    expect(output.metadata.exp - output.metadata.iat).toBe(60)
+
+    // Input is never mistaken for a flag, even though signatures can start with "-".
+    const value = `-${(await runCommand(['sign', '{"userId":42}'])).substring(1)}`
+    expect(JSON.parse(await runCommand(['decode', value])).data).toEqual({ userId: 42 })
+    await expect(runCommand(['verify', value, '-s', SESSION_COOKIE_SECRET.valid])).rejects.toThrow(InvalidSignatureError)
+
+    for (const json of ['foo', '[1]', 'null']) {
+      await expect(runCommand(['sign', json])).rejects.toThrow()
+    }
+
+    await expect(runCommand(['sign', '{}', '--compression', 'foo'])).rejects.toThrow('options.compression')
+  })
+
+  test('`cookie-options` shows the name and attributes of the session cookie, as set by the environment.', async () => {
+    process.env.SESSION_COOKIE_NAME = 'sid'
+    process.env.SESSION_COOKIE_SAMESITE = 'Strict'
+    process.env.SESSION_COOKIE_SECURE = '0'
+    delete process.env.SESSION_COOKIE_SECRET // Not needed.
+
+    const output = JSON.parse(await runCommand(['cookie-options']))
+
+    expect(output.name).toBe('sid')
+    expect(output.attributes).toMatchObject({ httpOnly: true, sameSite: 'strict', path: '/' })
+    expect(output.attributes.secure).toBeUndefined()
+    expect(output.setCookie).toMatch(/^sid=<value>; Max-Age=\d+; Path=\/; HttpOnly; SameSite=Strict$/)
+  })
+
+  test('Shows usage, and throws on unknown commands or options.', async () => {
+    expect(await runCommand([])).toMatch('Usage:')
+    expect(await runCommand(['sign', '--help'])).toMatch('Usage:')
+    await expect(runCommand(['foo'])).rejects.toThrow('Unknown command')
+    await expect(runCommand(['decode', 'foo', '--bar'])).rejects.toThrow()
+    await expect(runCommand(['decode'])).rejects.toThrow('cookie value is required')
+  })
+})
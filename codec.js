@@ -0,0 +1,394 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file codec.js
+ * @description Turns session data into the payload that gets signed (or encrypted), and back.
+ *
+ * Payload formats:
+ * - Legacy (v0): JSON string. Used with the default codec ("json") and no compression, so cookies stay readable by previous versions.
+ * - v1: `PAYLOAD_VERSION_PREFIX`, then `[codec].[compression].`, then session data as encoded by the codec, optionally compressed.
+ *   Used as soon as another codec or compression is enabled.
+ * Both formats are always accepted on the way in: the header says how the rest of the payload must be decoded.
+ *
+ * Runtime-neutral: only relies on Web APIs, except for "brotli" compression, which needs Node.js' `zlib` module.
+ */
+
+//
+// Imports
+//
+const { MalformedPayloadError } = require('./errors.js')
+
+//
+// Module-level constants
+//
+/**
+ * Marks v1 payloads. Legacy payloads are JSON objects, and therefore always start with "{".
+ * @constant
+ * @private
+ */
+const PAYLOAD_VERSION_PREFIX = '1.'
+
+/**
+ * Matches the header of v1 payloads: `1.[codec].[compression].`
+ * @constant
+ * @private
+ */
+const PAYLOAD_HEADER_REGEX = /^1\.([a-z0-9-]+)\.([a-z]+)\./
+
+/**
+ * Maximum size of a decompressed payload, in bytes. Guards against decompression bombs.
+ * @constant
+ * @private
+ */
+const DECOMPRESSED_MAX_SIZE = 1024 * 1024
+
+/**
+ * Compression methods that can be applied to the payload. "none" is the default.
+ * @constant
+ * @private
+ */
+const COMPRESSION_METHODS = ['none', 'deflate', 'brotli']
+
+/**
+ * Tag key used by the "rich" codec to describe values JSON can't represent.
+ * @constant
+ * @private
+ */
+const RICH_TYPE_KEY = '$t'
+
+/**
+ * Built-in codecs. A codec turns session data into a string (`encode`) and back (`decode`).
+ * - "json": `JSON.stringify()` / `JSON.parse()`. Default.
+ * - "rich": JSON, with support for `Date`, `Map`, `Set`, `BigInt` and `undefined`. See `toRichJSON()`.
+ * @constant
+ * @private
+ */
+const CODECS = {
+  json: {
+    name: 'json',
+    encode: (data) => JSON.stringify(data),
+    decode: (string) => JSON.parse(string)
+  },
+  rich: {
+    name: 'rich',
+    encode: (data) => JSON.stringify(toRichJSON(data)),
+    decode: (string) => fromRichJSON(JSON.parse(string))
+  }
+}
+
+//
+// Functions
+//
+/**
+ * Encodes session data into a payload, ready to be signed or encrypted.
+ *
+ * @param {Object} data - Session data, including metadata.
+ * @param {Object} codec - From `getCodec()` in `config.js`.
+ * @param {string} compression - One of `COMPRESSION_METHODS`.
+ * @returns {Promise<Uint8Array>}
+ * @private
+ */
+async function encodePayload (data, codec, compression) {
+  const body = encodeUTF8(codec.encode(data))
+
+  if (codec.name === 'json' && compression === 'none') {
+    return body
+  }
+
+  const header = encodeUTF8(`${PAYLOAD_VERSION_PREFIX}${codec.name}.${compression}.`)
+  const compressed = await compress(body, compression)
+
+  const payload = new Uint8Array(header.length + compressed.length)
+  payload.set(header)
+  payload.set(compressed, header.length)
+
+  return payload
+}
+
+/**
+ * Decodes a payload into session data, regardless of its format.
+ * Throws a `MalformedPayloadError` if the payload can't be decoded, or does not hold an object.
+ *
+ * @param {Uint8Array} payload - From `decodeCookieValue()` in `core.js`.
+ * @param {Object} codec - From `getCodec()` in `config.js`. Used if the payload was encoded with a custom codec.
+ * @returns {Promise<Object>} - Session data, including metadata.
+ * @private
+ */
+async function decodePayload (payload, codec) {
+  let usedCodec = CODECS.json
+  let body = payload
+
+  // v1 payload: read codec and compression from the header.
+  const header = decodeUTF8(payload.subarray(0, 64)).match(PAYLOAD_HEADER_REGEX)
+
+  if (header) {
+    const [match, codecName, compression] = header
+
+    usedCodec = CODECS[codecName] || (codec.name === codecName ? codec : null)
+
+    if (!usedCodec || !COMPRESSION_METHODS.includes(compression)) {
+      throw new MalformedPayloadError(`Session cookie uses an unknown codec or compression method ("${codecName}", "${compression}").`)
+    }
+
+    try {
+      body = await decompress(payload.subarray(match.length), compression) // Header is ASCII: one byte per character.
+    } catch (err) {
+      throw new MalformedPayloadError('Session cookie could not be decompressed.')
+    }
+  }
+
+  let data = null
+
+  try {
+    data = usedCodec.decode(decodeUTF8(body))
+  } catch (err) {
+    throw new MalformedPayloadError('Session cookie does not hold valid JSON.')
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new MalformedPayloadError('Session cookie does not hold a JSON object.')
+  }
+
+  return data
+}
+
+/**
+ * Checks if "brotli" compression can be used in the current runtime.
+ *
+ * @returns {boolean}
+ * @private
+ */
+function isBrotliAvailable () {
+  const zlib = getZlib()
+  return Boolean(zlib && zlib.brotliCompressSync)
+}
+
+/**
+ * Compresses bytes using a given method.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} method - One of `COMPRESSION_METHODS`.
+ * @returns {Promise<Uint8Array>}
+ * @private
+ */
+async function compress (bytes, method) {
+  if (method === 'none') {
+    return bytes
+  }
+
+  if (method === 'brotli') {
+    return new Uint8Array(getZlib().brotliCompressSync(bytes))
+  }
+
+  return await readStream(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate')), Infinity)
+}
+
+/**
+ * Decompresses bytes using a given method. Throws past `DECOMPRESSED_MAX_SIZE`.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} method - One of `COMPRESSION_METHODS`.
+ * @returns {Promise<Uint8Array>}
+ * @private
+ */
+async function decompress (bytes, method) {
+  if (method === 'none') {
+    return bytes
+  }
+
+  if (method === 'brotli') {
+    if (!isBrotliAvailable()) {
+      throw new Error('"brotli" compression is not available in this runtime.')
+    }
+
+    return new Uint8Array(getZlib().brotliDecompressSync(bytes, { maxOutputLength: DECOMPRESSED_MAX_SIZE }))
+  }
+
+  return await readStream(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')), DECOMPRESSED_MAX_SIZE)
+}
+
+/**
+ * Reads a stream of bytes until it ends. Throws if it goes past `maxSize`.
+ *
+ * @param {ReadableStream} stream
+ * @param {number} maxSize - In bytes.
+ * @returns {Promise<Uint8Array>}
+ * @private
+ */
+async function readStream (stream, maxSize) {
+  const reader = stream.getReader()
+  const chunks = []
+  let size = 0
+
+  for (;;) {
+    const { done, value } = await reader.read()
+
+    if (done) {
+      break
+    }
+
+    size += value.length
+
+    if (size > maxSize) {
+      await reader.cancel()
+      throw new Error(`Stream is larger than ${maxSize} bytes.`)
+    }
+
+    chunks.push(value)
+  }
+
+  const bytes = new Uint8Array(size)
+  let offset = 0
+
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+
+  return bytes
+}
+
+/**
+ * Returns Node.js' `zlib` module, or `null` if not available (i.e: Deno).
+ *
+ * @returns {?Object}
+ * @private
+ */
+function getZlib () {
+  try {
+    return require('zlib')
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Converts a value into a JSON-compatible structure, describing types JSON can't represent using `RICH_TYPE_KEY`:
+ * - `Date`: `{"$t": "Date", "v": ISO string}`
+ * - `Map`: `{"$t": "Map", "v": [[key, value], ...]}`
+ * - `Set`: `{"$t": "Set", "v": [value, ...]}`
+ * - `BigInt`: `{"$t": "BigInt", "v": string}`
+ * - `undefined`: `{"$t": "undefined"}`
+ * - Objects that have a `RICH_TYPE_KEY` key of their own: `{"$t": "Object", "v": object}`
+ *
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+function toRichJSON (value) {
+  if (value === undefined) {
+    return { [RICH_TYPE_KEY]: 'undefined' }
+  }
+
+  if (typeof value === 'bigint') {
+    return { [RICH_TYPE_KEY]: 'BigInt', v: value.toString() }
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  if (value instanceof Date) {
+    return { [RICH_TYPE_KEY]: 'Date', v: isNaN(value) ? null : value.toISOString() }
+  }
+
+  if (value instanceof Map) {
+    return { [RICH_TYPE_KEY]: 'Map', v: Array.from(value, ([key, item]) => [toRichJSON(key), toRichJSON(item)]) }
+  }
+
+  if (value instanceof Set) {
+    return { [RICH_TYPE_KEY]: 'Set', v: Array.from(value, toRichJSON) }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toRichJSON)
+  }
+
+  const object = {}
+
+  for (const [key, item] of Object.entries(value)) {
+    object[key] = toRichJSON(item)
+  }
+
+  return RICH_TYPE_KEY in object ? { [RICH_TYPE_KEY]: 'Object', v: object } : object
+}
+
+/**
+ * Reverts `toRichJSON()`.
+ *
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+function fromRichJSON (value) {
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(fromRichJSON)
+  }
+
+  const fromEntries = (object) => {
+    const result = {}
+
+    for (const [key, item] of Object.entries(object)) {
+      result[key] = fromRichJSON(item)
+    }
+
+    return result
+  }
+
+  switch (value[RICH_TYPE_KEY]) {
+    case undefined:
+      return fromEntries(value)
+    case 'undefined':
+      return undefined
+    case 'BigInt':
+      return BigInt(value.v)
+    case 'Date':
+      return new Date(value.v === null ? NaN : value.v)
+    case 'Map':
+      return new Map(value.v.map(([key, item]) => [fromRichJSON(key), fromRichJSON(item)]))
+    case 'Set':
+      return new Set(value.v.map(fromRichJSON))
+    case 'Object':
+      return fromEntries(value.v)
+    default:
+      throw new Error(`Unknown type "${value[RICH_TYPE_KEY]}".`)
+  }
+}
+
+/**
+ * Encodes a string as UTF-8.
+ *
+ * @param {string} value
+ * @returns {Uint8Array}
+ * @private
+ */
+function encodeUTF8 (value) {
+  return new TextEncoder().encode(value)
+}
+
+/**
+ * Decodes UTF-8 bytes into a string.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ * @private
+ */
+function decodeUTF8 (bytes) {
+  return new TextDecoder().decode(bytes)
+}
+
+//
+// Exports
+//
+module.exports = {
+  CODECS,
+  COMPRESSION_METHODS,
+  encodePayload,
+  decodePayload,
+  isBrotliAvailable
+}
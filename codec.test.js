@@ -0,0 +1,210 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file codec.test.js
+ */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const rewire = require('rewire')
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { withSession, getSession, getSessionId, serializeSession, createMemoryStore, createFileSystemStore } = require('./index.js')
+
+const { CODECS, encodePayload, decodePayload } = require('./codec.js')
+const { MalformedPayloadError } = require('./errors.js')
+
+const lib = rewire('./codec.js')
+const DECOMPRESSED_MAX_SIZE = lib.__get__('DECOMPRESSED_MAX_SIZE')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the "rich" codec:', () => {
+  test('Preserves `Date`, `Map`, `Set`, `BigInt` and `undefined` values, at any depth.', () => {
+    const data = {
+      date: new Date('2024-01-01T00:00:00.000Z'),
+      map: new Map([['a', 1], [2, new Set(['b'])]]),
+      big: 12345678901234567890n,
+      missing: undefined,
+      list: [undefined, new Date(0), { nested: 1n }],
+      tagged: { $t: 'Date', v: 'not a date' }
+    }
+
+    const decoded = CODECS.rich.decode(CODECS.rich.encode(data))
+
+    expect(decoded).toEqual(data)
+    expect('missing' in decoded).toBe(true)
+    expect(decoded.date).toBeInstanceOf(Date)
+    expect(isNaN(CODECS.rich.decode(CODECS.rich.encode({ date: new Date('foo') })).date)).toBe(true)
+    expect(decoded.map.get(2)).toEqual(new Set(['b']))
+    expect(typeof decoded.big).toBe('bigint')
+    expect(decoded.tagged).toEqual({ $t: 'Date', v: 'not a date' })
+  })
+})
+
+describe('Test suite for the `encodePayload()` and `decodePayload()` functions:', () => {
+  const data = { userId: 42, history: Array(50).fill('/some/page') }
+
+  test('Default codec without compression produces legacy (plain JSON) payloads.', async () => {
+    const payload = await encodePayload(data, CODECS.json, 'none')
+
+    expect(Buffer.from(payload).toString()).toBe(JSON.stringify(data))
+    expect(await decodePayload(payload, CODECS.json)).toEqual(data)
+  })
+
+  test('Other codecs and compression methods produce versioned payloads, which can be read regardless of configuration.', async () => {
+    for (const codec of [CODECS.json, CODECS.rich]) {
+      for (const compression of ['none', 'deflate', 'brotli']) {
+        const payload = await encodePayload(data, codec, compression)
+
+        if (codec.name === 'json' && compression === 'none') {
+          continue
+        }
+
+        expect(Buffer.from(payload.subarray(0, 16)).toString('latin1')).toMatch(`1.${codec.name}.${compression}.`)
+        expect(await decodePayload(payload, CODECS.json)).toEqual(data)
+
+        if (compression !== 'none') {
+          expect(payload.length).toBeLessThan(JSON.stringify(data).length / 2)
+        }
+      }
+    }
+  })
+
+  test('Custom codecs are used by name.', async () => {
+    const codec = {
+      name: 'reversed-json',
+      encode: (data) => JSON.stringify(data).split('').reverse().join(''),
+      decode: (string) => JSON.parse(string.split('').reverse().join(''))
+    }
+
+    const payload = await encodePayload(data, codec, 'none')
+
+    expect(Buffer.from(payload).toString()).toMatch(/^1\.reversed-json\.none\.}/)
+    expect(await decodePayload(payload, codec)).toEqual(data)
+    await expect(decodePayload(payload, CODECS.json)).rejects.toThrow(MalformedPayloadError)
+  })
+
+  test('Throws a `MalformedPayloadError` on unknown formats, corrupted data and decompression bombs.', async () => {
+    const cases = [
+      '1.foo.none.{}',
+      '1.json.gzip.{}',
+      '1.json.deflate.{}',
+      '[1,2,3]',
+      'foo',
+      Buffer.concat([Buffer.from('1.json.brotli.'), zlib.brotliCompressSync(JSON.stringify({ foo: 'a'.repeat(DECOMPRESSED_MAX_SIZE) }))]),
+      Buffer.concat([Buffer.from('1.json.deflate.'), zlib.deflateSync(JSON.stringify({ foo: 'a'.repeat(DECOMPRESSED_MAX_SIZE) }))])
+    ]
+
+    for (const value of cases) {
+      await expect(decodePayload(new Uint8Array(Buffer.from(value)), CODECS.json)).rejects.toThrow(MalformedPayloadError)
+    }
+  })
+})
+
+describe('Test suite for codecs and compression in session wrappers:', () => {
+  test('Rich session data are kept across requests, and changes made to them are detected.', async () => {
+    const options = { codec: 'rich', compression: 'deflate', expiryMode: 'fixed' }
+    let session = null
+
+    let response = await withSession(async (event, context) => {
+      getSession(context).seen = new Set(['/home'])
+      getSession(context).since = new Date(0)
+      return { statusCode: 200 }
+    }, options)({}, { clientContext: {} })
+
+    let cookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    const handler = withSession(async (event, context) => {
+      session = getSession(context)
+      session.seen.add(event.path)
+      return { statusCode: 200 }
+    }, options)
+
+    response = await handler({ path: '/about', headers: { cookie } }, { clientContext: {} })
+    expect(session).toEqual({ seen: new Set(['/home', '/about']), since: new Date(0) })
+
+    cookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    // Already in the set: nothing changed.
+    response = await handler({ path: '/about', headers: { cookie } }, { clientContext: {} })
+    expect(response).toEqual({ statusCode: 200 })
+  })
+
+  test('Cookies issued before codecs and compression were enabled can still be read.', async () => {
+    const cookie = (await serializeSession({ userId: 42 })).split(';')[0]
+    let session = null
+
+    await withSession(async (event, context) => {
+      session = getSession(context)
+      return { statusCode: 200 }
+    }, { codec: 'rich', compression: 'brotli' })({ headers: { cookie } }, { clientContext: {} })
+
+    expect(session).toEqual({ userId: 42 })
+  })
+
+  test('In store mode, session data are handed to the store encoded with the configured codec.', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-codec-test-'))
+    let session = null
+
+    const handler = async (event, context) => {
+      session = getSession(context)
+      session.since = session.since || new Date(0)
+      session.tags = session.tags || new Map([['a', 1]])
+      return { statusCode: 200 }
+    }
+
+    for (const store of [createMemoryStore(), createFileSystemStore({ directory })]) {
+      const options = { store, codec: 'rich' }
+
+      const response = await withSession(handler, options)({}, { clientContext: {} })
+      const cookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+      const context = { clientContext: {} }
+      await withSession(handler, options)({ headers: { cookie } }, context)
+      expect(session).toEqual({ since: new Date(0), tags: new Map([['a', 1]]) })
+
+      // Sessions saved with the "json" codec remain readable.
+      await store.set(getSessionId(context), { userId: 42 }, 60)
+      await withSession(handler, options)({ headers: { cookie } }, { clientContext: {} })
+      expect(session.userId).toBe(42)
+    }
+
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+})
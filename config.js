@@ -0,0 +1,955 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file config.js
+ * @description Resolves the configuration of the session cookie, from options and environment variables.
+ * Runtime-neutral: can be used from Node.js (Netlify Functions) as well as Deno (Netlify Edge Functions).
+ */
+
+//
+// Imports
+//
+const { CODECS, COMPRESSION_METHODS, isBrotliAvailable } = require('./codec.js')
+const { createValidator, checkSchemaDefinition } = require('./schema.js')
+
+//
+// Module-level constants
+//
+/**
+ * Name to be used for the session cookie if none provided.
+ * @constant
+ * @private
+ */
+const SESSION_COOKIE_NAME_DEFAULT = 'session'
+
+/**
+ * Value to be used as a default for the "Max-Age" attribute of the session cookie.
+ * @constant
+ * @private
+ */
+const SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT = (60 * 60 * 24 * 7)
+
+/**
+ * Expiry modes available for the session cookie.
+ * - "rolling": The cookie's expiry is pushed back once a given fraction of its lifetime has elapsed.
+ * - "fixed": The cookie keeps the expiry it was first issued with.
+ *
+ * @constant
+ * @private
+ */
+const SESSION_COOKIE_EXPIRY_MODES = ['rolling', 'fixed']
+
+/**
+ * Default fraction of the cookie's lifetime that must elapse before its expiry is refreshed, in "rolling" mode.
+ * See `getExpiryMode()`.
+ * @constant
+ * @private
+ */
+const ROLLING_THRESHOLD_DEFAULT = 0.5
+
+/**
+ * How each type of session error is handled, unless specified otherwise via `options.failurePolicy`.
+ * Keys are the `code` of error classes from `errors.js`.
+ * - "reset": The session is discarded and replaced with an empty one. The handler runs as usual.
+ * - "reject": The function responds with a "400 Bad Request" status.
+ * - "throw": The error is thrown.
+ *
+ * @constant
+ * @private
+ */
+const FAILURE_POLICY_DEFAULT = {
+  'invalid-signature': 'reset',
+  'malformed-payload': 'reset',
+  expired: 'reset',
+  'invalid-schema': 'reset',
+  'too-large': 'throw'
+}
+
+/**
+ * Where CSRF tokens are looked for, unless specified otherwise via `options.csrf`.
+ * @constant
+ * @private
+ */
+const CSRF_OPTIONS_DEFAULT = {
+  headerName: 'x-csrf-token',
+  fieldName: '_csrf'
+}
+
+/**
+ * Lifecycle hooks accepted by `withSession()`. See `getHooks()`.
+ * @constant
+ * @private
+ */
+const SESSION_HOOKS = ['onLoad', 'onInvalid', 'onBeforeSave', 'onSave']
+
+/**
+ * Options accepted by `withSession()`. See `getConfig()`.
+ * @constant
+ * @private
+ */
+const WITH_SESSION_OPTIONS = [
+  'name',
+  'secret',
+  'httpOnly',
+  'secure',
+  'sameSite',
+  'maxAge',
+  'domain',
+  'path',
+  'encrypted',
+  'absoluteTimeout',
+  'idleTimeout',
+  'expiryMode',
+  'rollingThreshold',
+  'store',
+  'failurePolicy',
+  'csrf',
+  'onLoad',
+  'onInvalid',
+  'onBeforeSave',
+  'onSave',
+  'sessions',
+  'codec',
+  'compression',
+  'schema',
+  'migrations'
+]
+
+/**
+ * Options that can't be set for named sessions (see `getNamedSessionConfigs()`): they only apply to the default session.
+ * @constant
+ * @private
+ */
+const DEFAULT_SESSION_ONLY_OPTIONS = ['csrf', 'sessions']
+
+/**
+ * Options that named sessions don't inherit from the default session (see `getNamedSessionConfigs()`), but can set for themselves.
+ * @constant
+ * @private
+ */
+const NON_INHERITED_OPTIONS = ['schema', 'migrations']
+
+/**
+ * Environment variables read by the library.
+ * Used to read environment variables in runtimes without `process.env`.
+ *
+ * @constant
+ * @private
+ */
+const ENV_VARIABLES = [
+  'SESSION_COOKIE_SECRET',
+  'SESSION_COOKIE_SECRET_PREVIOUS',
+  'SESSION_COOKIE_NAME',
+  'SESSION_COOKIE_HTTPONLY',
+  'SESSION_COOKIE_SECURE',
+  'SESSION_COOKIE_SAMESITE',
+  'SESSION_COOKIE_MAX_AGE_SPAN',
+  'SESSION_COOKIE_DOMAIN',
+  'SESSION_COOKIE_PATH',
+  'SESSION_COOKIE_ENCRYPTED',
+  'SESSION_COOKIE_ABSOLUTE_TIMEOUT',
+  'SESSION_COOKIE_IDLE_TIMEOUT',
+  'SESSION_COOKIE_EXPIRY_MODE',
+  'SESSION_COOKIE_ROLLING_THRESHOLD'
+]
+
+//
+// Functions
+//
+/**
+ * Validates options given to `withSession()` and resolves the complete configuration of the session cookie.
+ * Options take precedence over environment variables, which are used as a fallback.
+ * Called once, when the handler is wrapped.
+ *
+ * Options available (all optional):
+ * - `name`: See `getCookieName()`.
+ * - `secret`: See `getSecretKeys()`.
+ * - `httpOnly`, `secure`, `sameSite`, `maxAge`, `domain`, `path`: See `getCookieOptions()`.
+ * - `encrypted`: See `isEncryptionEnabled()`.
+ * - `absoluteTimeout`, `idleTimeout`: See `getSessionTimeouts()`.
+ * - `expiryMode`, `rollingThreshold`: See `getExpiryMode()`.
+ * - `store`: Server-side session store. See `stores.js`.
+ * - `failurePolicy`: See `getFailurePolicy()`.
+ * - `csrf`: See `getCsrfOptions()`.
+ * - `onLoad`, `onInvalid`, `onBeforeSave`, `onSave`: See `getHooks()`.
+ * - `sessions`: See `getNamedSessionConfigs()`.
+ * - `codec`: See `getCodec()`.
+ * - `compression`: See `getCompression()`.
+ * - `schema`, `migrations`: See `getSchema()`.
+ *
+ * Will throw if an option is unknown or invalid, naming the option at fault.
+ *
+ * The resolved configuration is the one of the default session (`name` is `null`).
+ * Configurations of named sessions, if any, are listed under `sessions`.
+ *
+ * @param {Object} options - From `withSession()`.
+ * @returns {Object} - Resolved configuration.
+ * @private
+ */
+function getConfig (options = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('"options" must be an object.')
+  }
+
+  for (const key of Object.keys(options)) {
+    if (!WITH_SESSION_OPTIONS.includes(key)) {
+      throw new Error(`"options.${key}": Unknown option.`)
+    }
+  }
+
+  // Store
+  if (options.store !== undefined) {
+    for (const method of ['get', 'set', 'destroy', 'touch']) {
+      if (!options.store || typeof options.store[method] !== 'function') {
+        throw new Error(`"options.store": Must implement ${method}().`)
+      }
+    }
+  }
+
+  const config = {
+    name: null,
+    cookieName: getCookieName(options),
+    secretKeys: getSecretKeys(options),
+    cookieOptions: getCookieOptions(options),
+    encrypted: isEncryptionEnabled(options),
+    timeouts: getSessionTimeouts(options),
+    expiryMode: getExpiryMode(options),
+    store: options.store || null,
+    failurePolicy: getFailurePolicy(options),
+    csrf: getCsrfOptions(options),
+    hooks: getHooks(options),
+    codec: getCodec(options),
+    compression: getCompression(options),
+    schema: getSchema(options),
+    sessions: []
+  }
+
+  config.sessions = getNamedSessionConfigs(options, config.cookieName)
+
+  return config
+}
+
+/**
+ * Resolves the configuration of each named session given via `options.sessions`.
+ * Named sessions are managed alongside the default session, each with its own cookie, and accessed via `getSession(context, name)`.
+ *
+ * `options.sessions` maps session names to options objects, which accept the same options as `withSession()`,
+ * except for the ones listed in `DEFAULT_SESSION_ONLY_OPTIONS`.
+ * Options given at the top level are inherited (except for `NON_INHERITED_OPTIONS`), and the cookie is named after the session unless `name` is set.
+ *
+ * Usage:
+ * `withSession(handler, { sessions: { cart: { maxAge: 3600, sameSite: 'Strict' } } })`
+ *
+ * Will throw if a session's options are invalid, or if two sessions share a cookie name.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @param {string} [defaultCookieName] - Cookie name of the default session.
+ * @returns {Object[]} - Resolved configurations, with `name` set to the name of the session.
+ * @private
+ */
+function getNamedSessionConfigs (options = {}, defaultCookieName = getCookieName(options)) {
+  const { sessions } = options
+
+  if (sessions === undefined) {
+    return []
+  }
+
+  if (!sessions || typeof sessions !== 'object' || Array.isArray(sessions)) {
+    throw new Error('"options.sessions" must be an object.')
+  }
+
+  const inherited = { ...options }
+  const cookieNames = [defaultCookieName]
+  const configs = []
+
+  for (const key of [...DEFAULT_SESSION_ONLY_OPTIONS, ...NON_INHERITED_OPTIONS]) {
+    delete inherited[key]
+  }
+
+  for (const [name, sessionOptions] of Object.entries(sessions)) {
+    if (!sessionOptions || typeof sessionOptions !== 'object' || Array.isArray(sessionOptions)) {
+      throw new Error(`"options.sessions.${name}" must be an object.`)
+    }
+
+    for (const key of DEFAULT_SESSION_ONLY_OPTIONS) {
+      if (sessionOptions[key] !== undefined) {
+        throw new Error(`"options.sessions.${name}.${key}": Only available for the default session.`)
+      }
+    }
+
+    let config = null
+
+    // Errors name the option at fault, relative to the named session.
+    try {
+      config = getConfig({ ...inherited, name, ...sessionOptions })
+    } catch (err) {
+      err.message = err.message.replace('"options.', `"options.sessions.${name}.`)
+      throw err
+    }
+
+    if (cookieNames.includes(config.cookieName)) {
+      throw new Error(`"options.sessions.${name}": Cookie name "${config.cookieName}" is already in use.`)
+    }
+
+    cookieNames.push(config.cookieName)
+    configs.push({ ...config, name })
+  }
+
+  return configs
+}
+
+/**
+ * Returns the name to be used for the session cookie.
+ *
+ * Defaults to the value of `SESSION_COOKIE_NAME_DEFAULT`.
+ * Can be overridden via `options.name` or `env.SESSION_COOKIE_NAME`.
+ * Will throw if the name contains anything else than ASCII characters (excluding whitespace).
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {string} - Name used for the session cookie
+ * @private
+ */
+function getCookieName (options = {}) {
+  let name = SESSION_COOKIE_NAME_DEFAULT
+  let source = null
+
+  // Try to grab session cookie name from `options.name` or `SESSION_COOKIE_NAME` if available.
+  if (options.name !== undefined) {
+    name = options.name
+    source = 'options.name'
+  } else if (typeof getEnv().SESSION_COOKIE_NAME === 'string') {
+    name = getEnv().SESSION_COOKIE_NAME
+    source = 'SESSION_COOKIE_NAME'
+  }
+
+  if (source) {
+    const regex = /[A-Za-z0-9\!\#\$\%\&\'\*\+\-\.\^\_\`\|\~]+/g // eslint-disable-line
+
+    if (typeof name !== 'string') {
+      throw new Error(`"${source}" must be a string.`)
+    }
+
+    const check = name.match(regex)
+
+    if (name.length < 1) {
+      throw new Error(`"${source}" cannot be an empty string.`)
+    }
+
+    if (check instanceof Array !== true || check[0] !== name) {
+      throw new Error(`"${source}" must only contain ASCII characters and no whitespace.`)
+    }
+  }
+
+  return name
+}
+
+/**
+ * Builds an option object to be used by the cookie serializer.
+ * All options have defaults which can be edited using environment variables, or `withSession()` options.
+ * Options given to `withSession()` take precedence over environment variables.
+ *
+ * Environment variables / options available:
+ * - `env.SESSION_COOKIE_HTTPONLY` / `options.httpOnly`:
+ *   Specifies if the cookie should have the `HttpOnly` attribute.
+ *   Set to "0" (or `false`) to remove this attribute from the cookie definition.
+ * - `env.SESSION_COOKIE_SECURE` / `options.secure`:
+ *   Specifies if the cookie should have the `Secure` attribute.
+ *   Set to "0" (or `false`) to remove this attribute from the cookie definition.
+ * - `env.SESSION_COOKIE_SAMESITE` / `options.sameSite`:
+ *   Will specify the value for the `SameSite` attribute for the cookie.
+ *   Can be "Strict", "None" or "Lax" (default).
+ * - `env.SESSION_COOKIE_MAX_AGE_SPAN` / `options.maxAge`:
+ *   Specifies, in second, how long the cookie should be valid for.
+ *   Defaults to 7 days.
+ * - `env.SESSION_COOKIE_DOMAIN` / `options.domain`:
+ *   If set, will specify a value for the `Domain` attribute for the cookie.
+ * - `env.SESSION_COOKIE_PATH` / `options.path`:
+ *   If set, will specify a value for the `Path` attribute for the cookie.
+ *   Defaults to `/`.
+ *
+ * Invalid environment variables are ignored, invalid options throw.
+ *
+ * @param {Object} [overrides] - Options given to `withSession()`.
+ * @returns {object} - Options object for `cookie.serialize`
+ * @private
+ */
+function getCookieOptions (overrides = {}) {
+  // Defaults (options detail: https://github.com/jshttp/cookie#options-1)
+  const options = {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'lax',
+    maxAge: SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT,
+    path: '/'
+  }
+
+  //
+  // Use environment variables to edit defaults.
+  //
+  const {
+    SESSION_COOKIE_HTTPONLY,
+    SESSION_COOKIE_SECURE,
+    SESSION_COOKIE_SAMESITE,
+    SESSION_COOKIE_MAX_AGE_SPAN,
+    SESSION_COOKIE_DOMAIN,
+    SESSION_COOKIE_PATH
+  } = getEnv()
+
+  // HttpOnly
+  if (SESSION_COOKIE_HTTPONLY === '0') {
+    delete options.httpOnly
+  }
+
+  // Secure
+  if (SESSION_COOKIE_SECURE === '0') {
+    delete options.secure
+  }
+
+  // SameSite
+  if (['Strict', 'Lax', 'None'].includes(SESSION_COOKIE_SAMESITE)) {
+    options.sameSite = SESSION_COOKIE_SAMESITE.toLowerCase()
+  }
+
+  // Max-Age
+  if (!isNaN(parseInt(SESSION_COOKIE_MAX_AGE_SPAN))) {
+    options.maxAge = parseInt(SESSION_COOKIE_MAX_AGE_SPAN)
+  }
+
+  // Domain
+  if (SESSION_COOKIE_DOMAIN) {
+    options.domain = SESSION_COOKIE_DOMAIN
+  }
+
+  // Path
+  if (SESSION_COOKIE_PATH) {
+    options.path = SESSION_COOKIE_PATH
+  }
+
+  //
+  // Use options given to `withSession()` to edit the result.
+  //
+  const { httpOnly, secure, sameSite, maxAge, domain, path } = overrides
+
+  // HttpOnly / Secure
+  for (const [key, value] of Object.entries({ httpOnly, secure })) {
+    if (value === undefined) {
+      continue
+    }
+
+    if (typeof value !== 'boolean') {
+      throw new Error(`"options.${key}" must be a boolean.`)
+    }
+
+    if (value) {
+      options[key] = true
+    } else {
+      delete options[key]
+    }
+  }
+
+  // SameSite
+  if (sameSite !== undefined) {
+    if (typeof sameSite !== 'string' || !['strict', 'lax', 'none'].includes(sameSite.toLowerCase())) {
+      throw new Error('"options.sameSite" must be "Strict", "Lax" or "None".')
+    }
+
+    options.sameSite = sameSite.toLowerCase()
+  }
+
+  // Max-Age
+  if (maxAge !== undefined) {
+    if (!Number.isInteger(maxAge) || maxAge < 1) {
+      throw new Error(`"options.maxAge" must be a positive integer (${maxAge} given).`)
+    }
+
+    options.maxAge = maxAge
+  }
+
+  // Domain / Path
+  for (const [key, value] of Object.entries({ domain, path })) {
+    if (value === undefined) {
+      continue
+    }
+
+    if (typeof value !== 'string' || value.length < 1) {
+      throw new Error(`"options.${key}" must be a non-empty string.`)
+    }
+
+    options[key] = value
+  }
+
+  return options
+}
+
+/**
+ * Returns server-enforced session timeouts, in seconds.
+ * Unlike the cookie's "Max-Age" attribute, these are checked against timestamps signed into the cookie itself.
+ *
+ * Environment variables / options available:
+ * - `env.SESSION_COOKIE_ABSOLUTE_TIMEOUT` / `options.absoluteTimeout`:
+ *   Specifies, in seconds, how long a session can last after it was first issued, regardless of activity.
+ * - `env.SESSION_COOKIE_IDLE_TIMEOUT` / `options.idleTimeout`:
+ *   Specifies, in seconds, how long a session can last without being used.
+ *
+ * A timeout that is not set (or set to 0) is not enforced.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {{absolute: number, idle: number}} - Timeouts, `0` meaning "disabled".
+ * @private
+ */
+function getSessionTimeouts (options = {}) {
+  const timeouts = { absolute: 0, idle: 0 }
+  const absolute = parseInt(getEnv().SESSION_COOKIE_ABSOLUTE_TIMEOUT)
+  const idle = parseInt(getEnv().SESSION_COOKIE_IDLE_TIMEOUT)
+
+  if (!isNaN(absolute) && absolute > 0) {
+    timeouts.absolute = absolute
+  }
+
+  if (!isNaN(idle) && idle > 0) {
+    timeouts.idle = idle
+  }
+
+  // Options given to `withSession()` take precedence.
+  for (const [key, option] of [['absolute', 'absoluteTimeout'], ['idle', 'idleTimeout']]) {
+    const value = options[option]
+
+    if (value === undefined) {
+      continue
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`"options.${option}" must be a positive integer, or 0 (${value} given).`)
+    }
+
+    timeouts[key] = value
+  }
+
+  return timeouts
+}
+
+/**
+ * Returns the expiry mode to be used for the session cookie.
+ *
+ * Environment variables / options available:
+ * - `env.SESSION_COOKIE_EXPIRY_MODE` / `options.expiryMode`:
+ *   Can be "rolling" (default) or "fixed".
+ *   In "fixed" mode, the cookie keeps the expiry it was first issued with.
+ * - `env.SESSION_COOKIE_ROLLING_THRESHOLD` / `options.rollingThreshold`:
+ *   In "rolling" mode, fraction of the cookie's lifetime (between 0 and 1) that must elapse before its expiry is refreshed.
+ *   Defaults to 0.5: read-only requests made during the first half of the cookie's lifetime don't get a `Set-Cookie` header.
+ *   0 means that the expiry is refreshed on every request.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {{mode: string, refreshThreshold: number}}
+ * @private
+ */
+function getExpiryMode (options = {}) {
+  const expiryMode = { mode: 'rolling', refreshThreshold: ROLLING_THRESHOLD_DEFAULT }
+
+  const {
+    SESSION_COOKIE_EXPIRY_MODE,
+    SESSION_COOKIE_ROLLING_THRESHOLD
+  } = getEnv()
+
+  // Mode
+  if (SESSION_COOKIE_EXPIRY_MODES.includes(SESSION_COOKIE_EXPIRY_MODE)) {
+    expiryMode.mode = SESSION_COOKIE_EXPIRY_MODE
+  }
+
+  if (options.expiryMode !== undefined) {
+    if (!SESSION_COOKIE_EXPIRY_MODES.includes(options.expiryMode)) {
+      throw new Error(`"options.expiryMode" must be one of: ${SESSION_COOKIE_EXPIRY_MODES.join(', ')}.`)
+    }
+
+    expiryMode.mode = options.expiryMode
+  }
+
+  // Refresh threshold
+  const threshold = parseFloat(SESSION_COOKIE_ROLLING_THRESHOLD)
+  if (!isNaN(threshold) && threshold >= 0 && threshold <= 1) {
+    expiryMode.refreshThreshold = threshold
+  }
+
+  if (options.rollingThreshold !== undefined) {
+    const value = options.rollingThreshold
+
+    if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 1) {
+      throw new Error(`"options.rollingThreshold" must be a number between 0 and 1 (${value} given).`)
+    }
+
+    expiryMode.refreshThreshold = value
+  }
+
+  return expiryMode
+}
+
+/**
+ * Checks and returns the list of secret keys to be used to sign and verify the session cookie.
+ * Reads from `options.secret` if set, or `env.SESSION_COOKIE_SECRET` and `env.SESSION_COOKIE_SECRET_PREVIOUS`.
+ *
+ * - `options.secret` can be a single key, or a list of keys ordered from most to least recent.
+ * - `SESSION_COOKIE_SECRET` is the current key, used to sign cookies. It is always first in the list.
+ * - `SESSION_COOKIE_SECRET_PREVIOUS` is an optional, comma-separated list of keys that were previously used.
+ *   These keys are only used to verify existing cookies, allowing for key rotation without invalidating sessions.
+ *   Should be ordered from most to least recent.
+ *
+ * Every key must be at least 32 bytes long.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {string[]} - Keys to be used to sign and verify cookies, from newest to oldest.
+ * @private
+ */
+function getSecretKeys (options = {}) {
+  const keys = []
+
+  // From options
+  if (options.secret !== undefined) {
+    const secrets = Array.isArray(options.secret) ? options.secret : [options.secret]
+
+    if (secrets.length < 1) {
+      throw new Error('"options.secret": No secret key provided.')
+    }
+
+    for (const [index, key] of secrets.entries()) {
+      if (typeof key !== 'string') {
+        throw new Error(`"options.secret": Secret key #${index} must be a string.`)
+      }
+
+      const secretLength = new TextEncoder().encode(key).length
+      if (secretLength < 32) {
+        throw new Error(`"options.secret": The secret key must be at least 32 bytes long (${secretLength} given).`)
+      }
+    }
+
+    return [...secrets]
+  }
+
+  // From environment variables
+  const secret = getEnv().SESSION_COOKIE_SECRET
+  const previous = getEnv().SESSION_COOKIE_SECRET_PREVIOUS
+
+  if (!secret || typeof secret !== 'string') {
+    throw new Error('"SESSION_COOKIE_SECRET": No secret key provided.')
+  }
+
+  keys.push(secret)
+
+  // Previous keys, if any: comma-separated, empty entries are ignored.
+  if (typeof previous === 'string') {
+    for (const key of previous.split(',')) {
+      if (key.trim()) {
+        keys.push(key.trim())
+      }
+    }
+  }
+
+  // Check the length of every key in the list.
+  for (const [index, key] of keys.entries()) {
+    const secretLength = new TextEncoder().encode(key).length
+    const envName = index === 0 ? 'SESSION_COOKIE_SECRET' : 'SESSION_COOKIE_SECRET_PREVIOUS'
+
+    if (secretLength < 32) {
+      throw new Error(`"${envName}": The secret key must be at least 32 bytes long (${secretLength} given).`)
+    }
+  }
+
+  return keys
+}
+
+/**
+ * Determines whether session data should be encrypted, and not only signed.
+ * Reads from `options.encrypted` if set, or `env.SESSION_COOKIE_ENCRYPTED` (set to "1" to enable encryption).
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {boolean}
+ * @private
+ */
+function isEncryptionEnabled (options = {}) {
+  if (options.encrypted !== undefined) {
+    if (typeof options.encrypted !== 'boolean') {
+      throw new Error('"options.encrypted" must be a boolean.')
+    }
+
+    return options.encrypted
+  }
+
+  return getEnv().SESSION_COOKIE_ENCRYPTED === '1'
+}
+
+/**
+ * Returns how each type of session error should be handled. See `FAILURE_POLICY_DEFAULT`.
+ *
+ * `options.failurePolicy` can either be:
+ * - A string ("reset", "reject" or "throw"), applied to all cases;
+ * - An object mapping error codes ("invalid-signature", "malformed-payload", "expired", "invalid-schema", "too-large") to a policy.
+ *   Cases that are not listed keep their default policy.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {Object} - Error code -> policy.
+ * @private
+ */
+function getFailurePolicy (options = {}) {
+  const policies = ['reset', 'reject', 'throw']
+  const failurePolicy = { ...FAILURE_POLICY_DEFAULT }
+  const { failurePolicy: overrides } = options
+
+  if (overrides === undefined) {
+    return failurePolicy
+  }
+
+  if (typeof overrides === 'string') {
+    if (!policies.includes(overrides)) {
+      throw new Error('"options.failurePolicy" must be "reset", "reject" or "throw".')
+    }
+
+    for (const code of Object.keys(failurePolicy)) {
+      failurePolicy[code] = overrides
+    }
+
+    return failurePolicy
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('"options.failurePolicy" must be a string or an object.')
+  }
+
+  for (const [code, policy] of Object.entries(overrides)) {
+    if (!(code in FAILURE_POLICY_DEFAULT)) {
+      throw new Error(`"options.failurePolicy": Unknown case "${code}".`)
+    }
+
+    if (!policies.includes(policy)) {
+      throw new Error(`"options.failurePolicy.${code}" must be "reset", "reject" or "throw".`)
+    }
+
+    failurePolicy[code] = policy
+  }
+
+  return failurePolicy
+}
+
+/**
+ * Returns the codec used to turn session data into a string, and back. See `codec.js`.
+ *
+ * `options.codec` can either be:
+ * - "json" (default): Session data go through `JSON.stringify()` and `JSON.parse()`.
+ * - "rich": Same as "json", but `Date`, `Map`, `Set`, `BigInt` and `undefined` values are preserved.
+ * - A custom codec: an object with a `name` (lowercase letters, digits and dashes, stored in the cookie),
+ *   an `encode(data)` function returning a string and a `decode(string)` function returning session data.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {{name: string, encode: function, decode: function}}
+ * @private
+ */
+function getCodec (options = {}) {
+  const { codec } = options
+
+  if (codec === undefined) {
+    return CODECS.json
+  }
+
+  if (typeof codec === 'string') {
+    if (!CODECS[codec]) {
+      throw new Error(`"options.codec" must be one of: ${Object.keys(CODECS).join(', ')}, or a codec object.`)
+    }
+
+    return CODECS[codec]
+  }
+
+  if (!codec || typeof codec !== 'object' || Array.isArray(codec)) {
+    throw new Error('"options.codec" must be a string or an object.')
+  }
+
+  if (typeof codec.name !== 'string' || !/^[a-z0-9-]+$/.test(codec.name) || CODECS[codec.name]) {
+    throw new Error('"options.codec.name" must only contain lowercase letters, digits and dashes, and not be the name of a built-in codec.')
+  }
+
+  for (const method of ['encode', 'decode']) {
+    if (typeof codec[method] !== 'function') {
+      throw new Error(`"options.codec.${method}" must be a function.`)
+    }
+  }
+
+  return codec
+}
+
+/**
+ * Returns the compression method applied to session data before they are signed (or encrypted). See `codec.js`.
+ *
+ * `options.compression` can be "none" (default), "deflate" or "brotli".
+ * "brotli" is only available where Node.js' `zlib` module is (i.e: not in Netlify Edge Functions).
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {string}
+ * @private
+ */
+function getCompression (options = {}) {
+  const { compression } = options
+
+  if (compression === undefined) {
+    return 'none'
+  }
+
+  if (!COMPRESSION_METHODS.includes(compression)) {
+    throw new Error(`"options.compression" must be one of: ${COMPRESSION_METHODS.join(', ')}.`)
+  }
+
+  if (compression === 'brotli' && !isBrotliAvailable()) {
+    throw new Error('"options.compression": "brotli" is not available in this runtime.')
+  }
+
+  return compression
+}
+
+/**
+ * Returns the session schema settings. See `schema.js`.
+ *
+ * - `options.schema`: Either a function, given session data and returning `false` (or throwing) if they are not valid,
+ *   or a JSON-Schema-like definition (see `SCHEMA_KEYWORDS` in `schema.js`). Sessions are not validated if not set.
+ * - `options.migrations`: List of functions upgrading session data from one version of the schema to the next:
+ *   the function at index `0` upgrades from version `0` to `1`, and so on. Each function is given session data,
+ *   and returns upgraded session data (or edits them in place). The current version is the number of migrations.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {{validate: ?function, migrations: function[], version: number}}
+ * @private
+ */
+function getSchema (options = {}) {
+  const { schema, migrations = [] } = options
+  let validate = null
+
+  if (schema !== undefined && schema !== null) {
+    if (typeof schema !== 'function') {
+      try {
+        checkSchemaDefinition(schema)
+      } catch (err) {
+        throw new Error(`"options.${err.message.substring(1)}`)
+      }
+    }
+
+    validate = createValidator(schema)
+  }
+
+  if (!Array.isArray(migrations)) {
+    throw new Error('"options.migrations" must be an array.')
+  }
+
+  for (const [index, migration] of migrations.entries()) {
+    if (typeof migration !== 'function') {
+      throw new Error(`"options.migrations": Migration #${index} must be a function.`)
+    }
+  }
+
+  return { validate, migrations: [...migrations], version: migrations.length }
+}
+
+/**
+ * Returns the CSRF protection settings, or `null` if CSRF protection is disabled (default). See `csrf.js`.
+ *
+ * `options.csrf` can either be:
+ * - `true`: Enables CSRF protection, with default settings (see `CSRF_OPTIONS_DEFAULT`).
+ * - An object, with `headerName` (header holding the token) and / or `fieldName` (form field holding the token).
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {?{headerName: string, fieldName: string}}
+ * @private
+ */
+function getCsrfOptions (options = {}) {
+  const { csrf } = options
+
+  if (csrf === undefined || csrf === false) {
+    return null
+  }
+
+  if (csrf === true) {
+    return { ...CSRF_OPTIONS_DEFAULT }
+  }
+
+  if (!csrf || typeof csrf !== 'object' || Array.isArray(csrf)) {
+    throw new Error('"options.csrf" must be a boolean or an object.')
+  }
+
+  const resolved = { ...CSRF_OPTIONS_DEFAULT }
+
+  for (const [key, value] of Object.entries(csrf)) {
+    if (!(key in CSRF_OPTIONS_DEFAULT)) {
+      throw new Error(`"options.csrf": Unknown option "${key}".`)
+    }
+
+    if (typeof value !== 'string' || value.length < 1) {
+      throw new Error(`"options.csrf.${key}" must be a non-empty string.`)
+    }
+
+    resolved[key] = key === 'headerName' ? value.toLowerCase() : value
+  }
+
+  return resolved
+}
+
+/**
+ * Returns lifecycle hooks given to `withSession()`. Hooks can be async, and are awaited.
+ * All of them receive a single object, holding `event` (Lambda event, or `Request` for v2 / Edge handlers) and `context`, as well as:
+ * - `onLoad`: `session`, `keyIndex` (index of the secret key that verified the cookie) and `cookieSize` (bytes).
+ *   Called when a valid session was read, before the handler runs.
+ * - `onInvalid`: `error` (see `errors.js`). Called when a session is dropped or refused, before the failure policy is applied.
+ * - `onBeforeSave`: `session`. Called after the handler ran, before session data are checked for changes and written.
+ *   Edits made to `session` are saved.
+ * - `onSave`: `session`, `cookies` (`Set-Cookie` values), `cookieSize` (bytes, all cookies) and `destroyed`.
+ *   Called when session cookies are about to be sent.
+ *
+ * @param {Object} [options] - From `withSession()`.
+ * @returns {Object} - Hook name -> function, or `null` if not set.
+ * @private
+ */
+function getHooks (options = {}) {
+  const hooks = {}
+
+  for (const name of SESSION_HOOKS) {
+    if (options[name] !== undefined && typeof options[name] !== 'function') {
+      throw new Error(`"options.${name}" must be a function.`)
+    }
+
+    hooks[name] = options[name] || null
+  }
+
+  return hooks
+}
+
+/**
+ * Returns environment variables, regardless of runtime.
+ * Uses `process.env` if available, `Netlify.env` or `Deno.env` otherwise (Netlify Edge Functions).
+ *
+ * @returns {Object} - Environment variables.
+ * @private
+ */
+function getEnv () {
+  if (typeof process !== 'undefined' && process.env) {
+    return process.env
+  }
+
+  const env = {}
+  const source = (globalThis.Netlify && globalThis.Netlify.env) || (globalThis.Deno && globalThis.Deno.env)
+
+  if (source) {
+    for (const name of ENV_VARIABLES) {
+      const value = source.get(name)
+
+      if (value !== undefined) {
+        env[name] = value
+      }
+    }
+  }
+
+  return env
+}
+
+//
+// Exports
+//
+module.exports = {
+  getConfig,
+  getCookieName,
+  getCookieOptions
+}
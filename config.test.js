@@ -0,0 +1,458 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file config.test.js
+ */
+const rewire = require('rewire')
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { generateSecretKey, createMemoryStore } = require('./index.js')
+
+const lib = rewire('./config.js')
+const getCookieName = lib.__get__('getCookieName')
+const getCookieOptions = lib.__get__('getCookieOptions')
+const getSecretKeys = lib.__get__('getSecretKeys')
+const getConfig = lib.__get__('getConfig')
+const isEncryptionEnabled = lib.__get__('isEncryptionEnabled')
+const getEnv = lib.__get__('getEnv')
+const getSessionTimeouts = lib.__get__('getSessionTimeouts')
+const getExpiryMode = lib.__get__('getExpiryMode')
+const getFailurePolicy = lib.__get__('getFailurePolicy')
+const getNamedSessionConfigs = lib.__get__('getNamedSessionConfigs')
+const SESSION_COOKIE_NAME_DEFAULT = lib.__get__('SESSION_COOKIE_NAME_DEFAULT')
+const SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT = lib.__get__('SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_NAME = {
+  valid: ['session-cookie', 'FOOBAR42', '!!__'],
+  invalid: ['', ' ', 'session cookie', 'séssion', 'çćàâò']
+}
+
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk=',
+  invalid: 'tooshort'
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ * - Pass ref to `process.env` to the library via rewire's __set__, so it can be read and edited
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  lib.__set__('process.env', process.env)
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the `isEncryptionEnabled()` function:', () => {
+  test('Is `true` only if `env.SESSION_COOKIE_ENCRYPTED` is "1".', () => {
+    delete process.env.SESSION_COOKIE_ENCRYPTED
+    expect(isEncryptionEnabled()).toBe(false)
+
+    process.env.SESSION_COOKIE_ENCRYPTED = 'FOO'
+    expect(isEncryptionEnabled()).toBe(false)
+
+    process.env.SESSION_COOKIE_ENCRYPTED = '1'
+    expect(isEncryptionEnabled()).toBe(true)
+  })
+})
+
+describe('Test suite for the `getExpiryMode()` function:', () => {
+  test('Defaults to "rolling" with a threshold of 0.5 unless specified otherwise via environment variables.', () => {
+    delete process.env.SESSION_COOKIE_EXPIRY_MODE
+    delete process.env.SESSION_COOKIE_ROLLING_THRESHOLD
+    expect(getExpiryMode()).toEqual({ mode: 'rolling', refreshThreshold: 0.5 })
+
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'FOO'
+    process.env.SESSION_COOKIE_ROLLING_THRESHOLD = '1.5'
+    expect(getExpiryMode()).toEqual({ mode: 'rolling', refreshThreshold: 0.5 })
+
+    process.env.SESSION_COOKIE_ROLLING_THRESHOLD = '0'
+    expect(getExpiryMode()).toEqual({ mode: 'rolling', refreshThreshold: 0 })
+
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'fixed'
+    process.env.SESSION_COOKIE_ROLLING_THRESHOLD = '0.25'
+    expect(getExpiryMode()).toEqual({ mode: 'fixed', refreshThreshold: 0.25 })
+  })
+})
+
+describe('Test suite for the `getSessionTimeouts()` function:', () => {
+  test('Timeouts are disabled unless set to a positive integer via environment variables.', () => {
+    delete process.env.SESSION_COOKIE_ABSOLUTE_TIMEOUT
+    delete process.env.SESSION_COOKIE_IDLE_TIMEOUT
+    expect(getSessionTimeouts()).toEqual({ absolute: 0, idle: 0 })
+
+    process.env.SESSION_COOKIE_ABSOLUTE_TIMEOUT = 'FOO'
+    process.env.SESSION_COOKIE_IDLE_TIMEOUT = '-12'
+    expect(getSessionTimeouts()).toEqual({ absolute: 0, idle: 0 })
+
+    process.env.SESSION_COOKIE_ABSOLUTE_TIMEOUT = '86400'
+    process.env.SESSION_COOKIE_IDLE_TIMEOUT = '1800'
+    expect(getSessionTimeouts()).toEqual({ absolute: 86400, idle: 1800 })
+  })
+})
+
+describe('Test suite for the `getConfig()` function:', () => {
+  test('Throws if `options` is not an object or contains unknown options.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    for (const options of [null, 'foo', 12, []]) {
+      expect(() => getConfig(options)).toThrow()
+    }
+
+    expect(() => getConfig({ maxage: 12 })).toThrow('"options.maxage": Unknown option.')
+  })
+
+  test('Falls back to environment variables for options that are not set.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_NAME = 'from-env'
+    process.env.SESSION_COOKIE_PATH = '/from-env'
+
+    const config = getConfig({ name: 'from-options' })
+    expect(config.cookieName).toBe('from-options')
+    expect(config.cookieOptions.path).toBe('/from-env')
+    expect(config.secretKeys).toEqual([SESSION_COOKIE_SECRET.valid])
+  })
+
+  test('Resolves every option, without relying on environment variables.', () => {
+    delete process.env.SESSION_COOKIE_SECRET
+    const secret = [generateSecretKey(), generateSecretKey()]
+    const store = createMemoryStore()
+    const onLoad = async () => {}
+    const migration = (data) => data
+
+    const config = getConfig({
+      name: 'my-session',
+      secret,
+      httpOnly: false,
+      secure: false,
+      sameSite: 'Strict',
+      maxAge: 3600,
+      domain: 'netlify.app',
+      path: '/app',
+      encrypted: true,
+      absoluteTimeout: 86400,
+      idleTimeout: 1800,
+      expiryMode: 'fixed',
+      rollingThreshold: 0.5,
+      store,
+      failurePolicy: { expired: 'reject' },
+      csrf: { headerName: 'X-CSRF' },
+      onLoad,
+      codec: 'rich',
+      compression: 'deflate',
+      migrations: [migration]
+    })
+
+    expect(config).toEqual({
+      name: null,
+      cookieName: 'my-session',
+      secretKeys: secret,
+      cookieOptions: { sameSite: 'strict', maxAge: 3600, domain: 'netlify.app', path: '/app' },
+      encrypted: true,
+      timeouts: { absolute: 86400, idle: 1800 },
+      expiryMode: { mode: 'fixed', refreshThreshold: 0.5 },
+      store,
+      failurePolicy: { 'invalid-signature': 'reset', 'malformed-payload': 'reset', expired: 'reject', 'invalid-schema': 'reset', 'too-large': 'throw' },
+      csrf: { headerName: 'x-csrf', fieldName: '_csrf' },
+      hooks: { onLoad, onInvalid: null, onBeforeSave: null, onSave: null },
+      codec: lib.__get__('CODECS').rich,
+      compression: 'deflate',
+      schema: { validate: null, migrations: [migration], version: 1 },
+      sessions: []
+    })
+  })
+
+  test('Throws on invalid options, naming the option at fault.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const cases = {
+      name: ['', 'my session', 12],
+      secret: [[], '', SESSION_COOKIE_SECRET.invalid, [SESSION_COOKIE_SECRET.valid, 12]],
+      httpOnly: ['0', 1],
+      secure: ['false'],
+      sameSite: ['FOO', true],
+      maxAge: [0, -1, 1.5, '3600'],
+      domain: ['', 12],
+      path: ['', null],
+      encrypted: ['1'],
+      absoluteTimeout: [-1, '3600'],
+      idleTimeout: [1.5],
+      expiryMode: ['FOO'],
+      rollingThreshold: [-0.1, 1.1, '0.5'],
+      store: [null, {}],
+      failurePolicy: ['FOO', null, [], { expired: 'FOO' }, { foo: 'reset' }],
+      csrf: ['1', null, { foo: 'bar' }, { headerName: '' }],
+      onLoad: ['foo', null],
+      onSave: [{}],
+      codec: ['yaml', null, {}, { name: 'json', encode: () => '', decode: () => ({}) }, { name: 'My Codec' }, { name: 'my-codec', encode: () => '' }],
+      compression: ['gzip', true],
+      schema: ['foo', [], { type: 'foo' }, { format: 'email' }, { properties: { foo: { minimum: 1, pattern: '^a' } } }],
+      migrations: [{}, [null], () => {}],
+      sessions: [null, [], { cart: null }, { cart: { maxAge: -1 } }, { cart: { csrf: true } }, { session: {} }]
+    }
+
+    for (const [option, values] of Object.entries(cases)) {
+      for (const value of values) {
+        expect(() => getConfig({ [option]: value })).toThrow(`options.${option}`)
+      }
+    }
+  })
+})
+
+describe('Test suite for the `getNamedSessionConfigs()` function:', () => {
+  test('Named sessions inherit top-level options, and get their own cookie.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const [cart, prefs] = getNamedSessionConfigs({
+      maxAge: 3600,
+      path: '/app',
+      csrf: true,
+      sessions: {
+        cart: { sameSite: 'Strict' },
+        prefs: { name: 'ui-prefs', maxAge: 86400 }
+      }
+    })
+
+    expect(cart.name).toBe('cart')
+    expect(cart.cookieName).toBe('cart')
+    expect(cart.cookieOptions).toEqual({ httpOnly: true, secure: true, sameSite: 'strict', maxAge: 3600, path: '/app' })
+    expect(cart.csrf).toBe(null)
+    expect(cart.sessions).toEqual([])
+
+    expect(prefs.name).toBe('prefs')
+    expect(prefs.cookieName).toBe('ui-prefs')
+    expect(prefs.cookieOptions.maxAge).toBe(86400)
+
+    expect(getNamedSessionConfigs({})).toEqual([])
+  })
+
+  test('Throws if two sessions share a cookie name, naming the session at fault.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    expect(() => getNamedSessionConfigs({ sessions: { cart: { name: 'session' } } })).toThrow('options.sessions.cart')
+    expect(() => getNamedSessionConfigs({ sessions: { cart: {}, prefs: { name: 'cart' } } })).toThrow('options.sessions.prefs')
+    expect(() => getNamedSessionConfigs({ sessions: { cart: { maxAge: 0 } } })).toThrow('options.sessions.cart.maxAge')
+  })
+})
+
+describe('Test suite for the `getFailurePolicy()` function:', () => {
+  test('Sessions are reset on read errors and too large sessions throw, unless specified otherwise.', () => {
+    expect(getFailurePolicy()).toEqual({ 'invalid-signature': 'reset', 'malformed-payload': 'reset', expired: 'reset', 'invalid-schema': 'reset', 'too-large': 'throw' })
+    expect(getFailurePolicy({ failurePolicy: 'reject' })).toEqual({ 'invalid-signature': 'reject', 'malformed-payload': 'reject', expired: 'reject', 'invalid-schema': 'reject', 'too-large': 'reject' })
+    expect(getFailurePolicy({ failurePolicy: { 'invalid-signature': 'throw' } })['invalid-signature']).toBe('throw')
+  })
+})
+
+describe('Test suite for the `getCookieName()` function:', () => {
+  test('Returns default name if `env.SESSION_COOKIE_NAME` is not set.', () => {
+    const name = getCookieName()
+    expect(name).toBe(SESSION_COOKIE_NAME_DEFAULT)
+  })
+
+  test('If set, `env.SESSION_COOKIE_NAME` can only contain ASCII characters and no whitespace.', () => {
+    for (const name of SESSION_COOKIE_NAME.valid) {
+      process.env.SESSION_COOKIE_NAME = name
+      expect(getCookieName()).toBe(name)
+    }
+
+    for (const name of SESSION_COOKIE_NAME.invalid) {
+      process.env.SESSION_COOKIE_NAME = name
+      expect(() => getCookieName()).toThrow()
+    }
+  })
+})
+
+describe('Test suite for the `getCookieName()` function:', () => {
+  test('Returns default name if `env.SESSION_COOKIE_NAME` is not set.', () => {
+    delete process.env.SESSION_COOKIE_NAME
+    const name = getCookieName()
+    expect(name).toBe(SESSION_COOKIE_NAME_DEFAULT)
+  })
+
+  test('If set, `env.SESSION_COOKIE_NAME` can only contain ASCII chars and no whitespace.', () => {
+    for (const name of SESSION_COOKIE_NAME.valid) {
+      process.env.SESSION_COOKIE_NAME = name
+      expect(getCookieName()).toBe(name)
+    }
+
+    for (const name of SESSION_COOKIE_NAME.invalid) {
+      process.env.SESSION_COOKIE_NAME = name
+      expect(() => getCookieName()).toThrow()
+    }
+  })
+})
+
+describe('Test suite for the `getSecretKeys()` function:', () => {
+  test('Throws if `env.SESSION_COOKIE_SECRET` is not set or less than 32 bytes long.', () => {
+    // No key provided
+    delete process.env.SESSION_COOKIE_SECRET
+    expect(() => getSecretKeys()).toThrow()
+
+    // Key provided is less than 32 bytes long
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.invalid
+    expect(() => getSecretKeys()).toThrow()
+  })
+
+  test('Throws if any of the keys in `env.SESSION_COOKIE_SECRET_PREVIOUS` is less than 32 bytes long.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_SECRET_PREVIOUS = `${generateSecretKey()},${SESSION_COOKIE_SECRET.invalid}`
+    expect(() => getSecretKeys()).toThrow('SESSION_COOKIE_SECRET_PREVIOUS')
+  })
+
+  test('Returns the value of `env.SESSION_COOKIE_SECRET` if set and valid.', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    const secrets = getSecretKeys()
+    expect(secrets).toEqual([SESSION_COOKIE_SECRET.valid])
+  })
+
+  test('Appends keys from `env.SESSION_COOKIE_SECRET_PREVIOUS`, in order, after the current key.', () => {
+    const previous = [generateSecretKey(), generateSecretKey()]
+
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_SECRET_PREVIOUS = ` ${previous[0]}, ${previous[1]},`
+
+    expect(getSecretKeys()).toEqual([SESSION_COOKIE_SECRET.valid, ...previous])
+  })
+})
+
+describe('Test suite for the `getCookieOptions()` function:', () => {
+  test('`httpOnly` is present and `true` unless `env.SESSION_COOKIE_HTTPONLY` is "0".', () => {
+    let options = null
+
+    // `env.SESSION_COOKIE_HTTPONLY` not set: `httpOnly` = true
+    delete process.env.SESSION_COOKIE_HTTPONLY
+    options = getCookieOptions()
+    expect(options.httpOnly).toBe(true)
+
+    // `env.SESSION_COOKIE_HTTPONLY` not "0": `httpOnly` = true
+    process.env.SESSION_COOKIE_HTTPONLY = 'FOO'
+    options = getCookieOptions()
+    expect(options.httpOnly).toBe(true)
+
+    // `env.SESSION_COOKIE_HTTPONLY` is "0": `httpOnly` skipped
+    process.env.SESSION_COOKIE_HTTPONLY = '0'
+    options = getCookieOptions()
+    expect('httpOnly' in options).toBe(false)
+  })
+
+  test('`secure` is present and `true` unless `env.SESSION_COOKIE_SECURE` is "0".', () => {
+    let options = null
+
+    // `env.SESSION_COOKIE_SECURE` not set: `secure` = true
+    delete process.env.SESSION_COOKIE_SECURE
+    options = getCookieOptions()
+    expect(options.secure).toBe(true)
+
+    // `env.SESSION_COOKIE_SECURE` not "0": `secure` = true
+    process.env.SESSION_COOKIE_SECURE = 'FOO'
+    options = getCookieOptions()
+    expect(options.secure).toBe(true)
+
+    // `env.SESSION_COOKIE_SECURE` is "0": `secure` skipped
+    process.env.SESSION_COOKIE_SECURE = '0'
+    options = getCookieOptions()
+    expect('secure' in options).toBe(false)
+  })
+
+  test('`sameSite` is "lax" unless specified otherwise via `env.SESSION_COOKIE_SAMESITE`.', () => {
+    let options = null
+
+    // `env.SESSION_COOKIE_SAMESITE` not set: `sameSite` = "lax"
+    delete process.env.SESSION_COOKIE_SAMESITE
+    options = getCookieOptions()
+    expect(options.sameSite).toBe('lax')
+
+    // `env.SESSION_COOKIE_SAMESITE` is passed and valid: `sameSite` = value
+    for (const value of ['Lax', 'Strict', 'None']) {
+      process.env.SESSION_COOKIE_SAMESITE = value
+      options = getCookieOptions()
+      expect(options.sameSite).toBe(value.toLowerCase())
+    }
+
+    // `env.SESSION_COOKIE_SAMESITE` is passed but invalid: `sameSite` = "lax"
+    process.env.SESSION_COOKIE_SAMESITE = 'FOO'
+    options = getCookieOptions()
+    expect(options.sameSite).toBe('lax')
+  })
+
+  test('`maxAge` has a default unless specified otherwise via `env.SESSION_COOKIE_MAX_AGE_SPAN`.', () => {
+    let options = null
+
+    // `env.SESSION_COOKIE_MAX_AGE` not set: `maxAge` = SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT
+    delete process.env.SESSION_COOKIE_MAX_AGE_SPAN
+    options = getCookieOptions()
+    expect(options.maxAge).toBe(SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT)
+
+    // `env.SESSION_COOKIE_MAX_AGE` set but NaN: `maxAge` = SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT
+    process.env.SESSION_COOKIE_MAX_AGE_SPAN = 'FOO'
+    options = getCookieOptions()
+    expect(options.maxAge).toBe(SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT)
+
+    // `env.SESSION_COOKIE_MAX_AGE` set and valid: `maxAge` = value
+    process.env.SESSION_COOKIE_MAX_AGE_SPAN = 2048
+    options = getCookieOptions()
+    expect(options.maxAge).toBe(2048)
+  })
+
+  test('`domain` is not present unless specified otherwise via `env.SESSION_COOKIE_DOMAIN`.', () => {
+    let options = null
+
+    // `env.SESSION_COOKIE_DOMAIN` not set: `domain` skipped
+    delete process.env.SESSION_COOKIE_DOMAIN
+    options = getCookieOptions()
+    expect('domain' in options).toBe(false)
+
+    // `env.SESSION_COOKIE_DOMAIN` is set: `domain` = value
+    process.env.SESSION_COOKIE_DOMAIN = 'netlify.app'
+    options = getCookieOptions()
+    expect(options.domain).toBe('netlify.app')
+  })
+
+  test('`path` is "/" unless specified otherwise via `env.SESSION_COOKIE_PATH`.', () => {
+    let options = null
+
+    // `env.SESSION_COOKIE_PATH` not set: `path` = "/"
+    delete process.env.SESSION_COOKIE_PATH
+    options = getCookieOptions()
+    expect(options.path).toBe('/')
+
+    // `env.SESSION_COOKIE_PATH` is set: `path` = value
+    process.env.SESSION_COOKIE_PATH = '/some/path'
+    options = getCookieOptions()
+    expect(options.path).toBe('/some/path')
+  })
+})
+
+describe('Test suite for the `getEnv()` function:', () => {
+  test('Reads from `Netlify.env` when `process.env` is not available.', () => {
+    const values = { SESSION_COOKIE_SECRET: SESSION_COOKIE_SECRET.valid, FOO: 'bar' }
+    const Netlify = { env: { get: (name) => values[name] } }
+
+    lib.__with__({ process: undefined, globalThis: { Netlify } })(() => {
+      expect(getEnv()).toEqual({ SESSION_COOKIE_SECRET: SESSION_COOKIE_SECRET.valid })
+      expect(getSecretKeys()).toEqual([SESSION_COOKIE_SECRET.valid])
+    })
+  })
+})
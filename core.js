@@ -0,0 +1,1432 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file core.js
+ * @description Runtime-neutral core: reads, verifies, signs and serializes session cookies.
+ * Only relies on Web APIs (Web Crypto, TextEncoder, atob / btoa), so it can be used from Node.js (Netlify Functions)
+ * as well as Deno (Netlify Edge Functions). Cookies produced by either runtime are identical.
+ */
+
+//
+// Imports
+//
+const cookie = require('cookie')
+const { getConfig } = require('./config.js')
+const {
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
+} = require('./errors.js')
+const { CODECS, encodePayload, decodePayload } = require('./codec.js')
+const { upgradeSession, checkSession } = require('./schema.js')
+
+/**
+ * Web Crypto implementation: a global in Deno and Node.js 19+, only exposed by the `crypto` module in Node.js 18.
+ * `require()` is never reached where the global exists, so Edge Functions do not depend on Node.js built-ins.
+ * @private
+ */
+const webCrypto = globalThis.crypto || require('crypto').webcrypto
+
+//
+// Module-level constants
+//
+/**
+ * Maximum size of a single serialized cookie (name, value and attributes), in bytes.
+ * Browsers silently drop cookies that go past this limit.
+ *
+ * @constant
+ * @private
+ */
+const COOKIE_MAX_SIZE = 4096
+
+/**
+ * Maximum number of cookies the session can be split across.
+ * Past this limit, `sessionWrapper()` throws instead of sending a session cookie that would not fit in request headers.
+ *
+ * @constant
+ * @private
+ */
+const COOKIE_MAX_CHUNKS = 5
+
+/**
+ * Length of the signature digest, in characters.
+ * Used to separate signature from data in the raw session cookie.
+ *
+ * @constant
+ * @private
+ */
+const SIGNATURE_DIGEST_LENGTH = 43
+
+/**
+ * Prefix used to identify encrypted session cookies.
+ * Cannot be mistaken for the start of a signed cookie, since `.` is never used in signatures.
+ *
+ * @constant
+ * @private
+ */
+const ENCRYPTED_COOKIE_PREFIX = 'e.'
+
+/**
+ * Length of the initialization vector used for AES-256-GCM encryption, in bytes.
+ * @constant
+ * @private
+ */
+const ENCRYPTION_IV_LENGTH = 12
+
+/**
+ * Length of the authentication tag produced by AES-256-GCM encryption, in bytes.
+ * @constant
+ * @private
+ */
+const ENCRYPTION_AUTH_TAG_LENGTH = 16
+
+/**
+ * "Info" string used when deriving encryption keys from secret keys via HKDF.
+ * Ensures that encryption keys are distinct from signing keys.
+ *
+ * @constant
+ * @private
+ */
+const ENCRYPTION_KEY_INFO = 'netlify-functions-session-cookie:aes-256-gcm'
+
+/**
+ * Reserved key under which session metadata (timestamps) are stored in the serialized session.
+ * Stripped from session data on the way in, added back on the way out.
+ *
+ * @constant
+ * @private
+ */
+const SESSION_METADATA_KEY = '__session_meta'
+
+/**
+ * Reserved key under which session data are handed to the store when they are encoded with a codec other than "json",
+ * so that values the included stores can't save as plain JSON (`Date`, `Map` ...) survive the round trip.
+ * See `toStoredSession()`.
+ *
+ * @constant
+ * @private
+ */
+const STORED_PAYLOAD_KEY = '__session_payload'
+
+//
+// Public functions
+//
+/**
+ * Returns a reference to the `context.clientContext.sessionCookieData` object.
+ * This object contains data for the current session, which can be read and edited.
+ *
+ * Named sessions (see the `sessions` option of `withSession()`) are accessed by passing their name.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {?string} [name] - Name of the session. Default session if not set.
+ * @returns {Object} - Reference to the session data object.
+ */
+function getSession (context, name = null) {
+  const holder = getSessionHolder(context, name)
+
+  let session = holder.sessionCookieData
+
+  // Initialize `sessionCookieData` if it doesn't exist.
+  if (session === undefined || session === null) {
+    holder.sessionCookieData = {}
+    session = holder.sessionCookieData
+  }
+
+  return session
+}
+
+/**
+ * Utility to help clear out a session object in place.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {?string} [name] - Name of the session. Default session if not set.
+ * @public
+ */
+function clearSession (context, name = null) {
+  const session = getSession(context, name)
+
+  for (const key in session) {
+    delete session[key]
+  }
+}
+
+/**
+ * Marks the current session for destruction.
+ * Session data are cleared in place, and `sessionWrapper()` sends an expiring cookie to remove it from the client.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {?string} [name] - Name of the session. Default session if not set.
+ * @public
+ */
+function destroySession (context, name = null) {
+  const holder = getSessionHolder(context, name)
+
+  clearSession(context, name)
+  delete holder.sessionCsrfSecret
+  delete holder.sessionId
+  holder.sessionCookieDestroyed = true
+}
+
+/**
+ * Returns the ID of the current session: a random identifier, managed by the library, that can be used for logging and correlation.
+ * A new ID is issued for sessions that don't have one yet. It only reaches the client if the session cookie is sent.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {?string} [name] - Name of the session. Default session if not set.
+ * @returns {?string} - Current session ID. `null` if the session was destroyed.
+ * @public
+ */
+function getSessionId (context, name = null) {
+  const holder = getSessionHolder(context, name)
+
+  if (holder.sessionCookieDestroyed === true) {
+    return null
+  }
+
+  if (!holder.sessionId) {
+    holder.sessionId = generateSessionId()
+  }
+
+  return holder.sessionId
+}
+
+/**
+ * Issues a new ID for the current session, to prevent session fixation. Should be called whenever privileges change (i.e: at login).
+ * - Session data are kept, unless `options.keepData` is `false`.
+ * - The CSRF secret, if any, is dropped: tokens issued before regeneration are no longer valid.
+ * - In store mode, the record held under the previous ID is destroyed when the session is saved.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepData=true] - If `false`, session data are cleared.
+ * @param {?string} [options.name] - Name of the session. Default session if not set.
+ * @returns {string} - New session ID.
+ * @public
+ */
+function regenerateSession (context, options = {}) {
+  const name = options.name === undefined ? null : options.name
+  const holder = getSessionHolder(context, name)
+
+  if (options.keepData === false) {
+    clearSession(context, name)
+  }
+
+  delete holder.sessionCsrfSecret
+  delete holder.sessionCookieDestroyed
+  holder.sessionId = generateSessionId()
+
+  return holder.sessionId
+}
+
+/**
+ * Returns the error that caused the incoming session to be dropped, if any.
+ * Only set for cases handled with the "reset" failure policy (default): see the `failurePolicy` option of `withSession()`.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {?string} [name] - Name of the session. Default session if not set.
+ * @returns {?SessionError} - See `errors.js`. `null` if the incoming session was valid or missing.
+ * @public
+ */
+function getSessionError (context, name = null) {
+  return getSessionHolder(context, name).sessionCookieError || null
+}
+
+/**
+ * Reads and verifies session data from a raw `Cookie` header, outside of a session wrapper.
+ * Meant for scheduled functions, background functions and custom routers.
+ *
+ * Uses the same rules as `withSession()`: signature (or encryption), timeouts, schema and store mode (if `options.store` is set).
+ * If no valid session could be read, `data` is `null` and `reason` is one of:
+ * - `"missing"`: No session cookie found in the header.
+ * - `"invalid-signature"`: Session cookie could not be verified (altered or unknown key).
+ * - `"malformed-payload"`: Session cookie is not valid base64, or does not hold a JSON object.
+ * - `"expired"`: Session went past its absolute or idle timeout.
+ * - `"invalid-schema"`: Session could not be migrated, or does not match the schema (see `schema.js`).
+ * - `"not-found"`: Session ID could not be found in the store (store mode only).
+ * `error` holds the matching error from `errors.js`, if any.
+ *
+ * @param {?(string|string[])} cookieHeader - Raw value of the `Cookie` header. Several headers can be passed as an array.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<{data: ?Object, reason: ?string, error: ?SessionError}>} - Session data, or `null` and the reason why.
+ * @public
+ */
+async function readSession (cookieHeader, options = {}) {
+  const config = getConfig(options)
+  const incomingCookies = parseCookieHeaders([].concat(cookieHeader))
+  const { data, reason, error } = await verifySession(incomingCookies, config, Math.floor(Date.now() / 1000))
+
+  return { data, reason, error }
+}
+
+/**
+ * Signs (or encrypts) session data and serializes them into a `Set-Cookie` value, outside of a session wrapper.
+ * The resulting cookie can be read by `withSession()` and `readSession()`.
+ *
+ * Uses the same rules as `withSession()`: cookie attributes from `getCookieOptions()`, and store mode (if `options.store` is set).
+ * Throws if session data don't fit in a single cookie (see `COOKIE_MAX_SIZE`).
+ *
+ * @param {Object} data - Session data.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<string>} - Value to be added to `Set-Cookie`.
+ * @public
+ */
+async function serializeSession (data, options = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('`serializeSession()`: "data" must be an object.')
+  }
+
+  const config = getConfig(options)
+  const cookieValue = await encodeSession(data, config)
+  const outgoing = serializeSessionCookies(config.cookieName, cookieValue, config.cookieOptions, null)
+
+  if (outgoing.length > 1) {
+    throw new SessionTooLargeError(`\`serializeSession()\`: Session data are too large to fit in a single cookie (${COOKIE_MAX_SIZE} bytes).`)
+  }
+
+  return outgoing[0]
+}
+
+//
+// Local functions
+//
+/**
+ * Returns the object holding the state of a session (data, ID, error, destruction flag, CSRF secret).
+ * - Default session: `context.clientContext`.
+ * - Named sessions: `context.clientContext.namedSessions[name]`, created by `loadSession()`.
+ *
+ * Will throw if `context` is not suitable, or if no session was loaded under that name.
+ *
+ * @param {Object} context - From the function handler.
+ * @param {?string} [name] - Name of the session. Default session if not set.
+ * @returns {Object}
+ * @private
+ */
+function getSessionHolder (context, name = null) {
+  if (!context || !('clientContext' in context)) {
+    throw new Error('`getSession()` requires a valid Lambda `context` object as an argument.')
+  }
+
+  if (name === null) {
+    return context.clientContext
+  }
+
+  const namedSessions = context.clientContext.namedSessions
+
+  if (!namedSessions || !Object.prototype.hasOwnProperty.call(namedSessions, name)) {
+    throw new Error(`Unknown session "${name}": named sessions must be declared via the "sessions" option of \`withSession()\`.`)
+  }
+
+  return namedSessions[name]
+}
+
+/**
+ * Generates a random session ID. Also used as a key in store mode.
+ *
+ * @returns {string} - 16 random bytes, hex-encoded.
+ * @private
+ */
+function generateSessionId () {
+  return Array.from(webCrypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Validates and parses incoming session data into the session object held by `context`.
+ * Returns the state of the incoming session, for use by `saveSession()`.
+ *
+ * If the incoming session was dropped because of an error, it is handled as per failure policy (see `handleSessionError()`).
+ * Wrappers must respond with a "400 Bad Request" status if `state.rejected` is set.
+ *
+ * Runs the `onLoad` and `onInvalid` hooks, if any (see `getHooks()` in `config.js`).
+ *
+ * @param {?Object} incomingCookies - From `parseCookieHeaders()`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @param {Object} event - Lambda event or `Request` given to the function handler. Passed to hooks.
+ * @returns {Promise<Object>} - State of the incoming session.
+ * @private
+ */
+async function loadSession (incomingCookies, context, config, event) {
+  // Named sessions get a fresh holder. See `getSessionHolder()`.
+  if (config.name !== null) {
+    context.clientContext.namedSessions = context.clientContext.namedSessions || {}
+    context.clientContext.namedSessions[config.name] = {}
+  }
+
+  const holder = getSessionHolder(context, config.name)
+  const session = getSession(context, config.name) // Holds the current state of session data.
+
+  const state = {
+    event,
+    now: Math.floor(Date.now() / 1000),
+    incomingCookies,
+    incomingMetadata: null, // Metadata of the incoming session, if valid.
+    incomingKeyIndex: -1, // Index of the key the incoming session was verified with.
+    incomingEncrypted: false, // Whether the incoming session cookie was encrypted, rather than signed.
+    incomingSnapshot: null, // Serialized incoming session data, used to detect changes.
+    incomingStored: false, // Whether incoming session data were loaded from the store.
+    rejected: null // Error to be answered with "400 Bad Request", as per failure policy.
+  }
+
+  delete holder.sessionCookieDestroyed // Set by `destroySession()`.
+  delete holder.sessionCookieError // Set by `handleSessionError()`.
+  delete holder.sessionCsrfSecret // Set below, or by `getCsrfToken()`.
+  delete holder.sessionId // Set below, or by `getSessionId()` and `regenerateSession()`.
+
+  // Grab, validate and parse session data from cookie (or chunked cookies)
+  const { data, metadata, keyIndex, encrypted, cookieSize, stored, error } = await verifySession(incomingCookies, config, state.now)
+
+  if (error) {
+    await runHook(config, 'onInvalid', { event, context, error })
+
+    if (handleSessionError(error, context, config)) {
+      state.rejected = error
+    }
+  }
+
+  if (data) {
+    for (const [key, value] of Object.entries(data)) { // Update in place to preserve `session` ref.
+      session[key] = value
+    }
+
+    // Cookies issued before timestamps were introduced are considered as issued now (only reached if no timeout is set).
+    state.incomingMetadata = { iat: state.now, lst: state.now, exp: null, ...metadata }
+    state.incomingKeyIndex = keyIndex
+    state.incomingEncrypted = encrypted
+    state.incomingStored = stored
+
+    // CSRF secret: see `csrf.js`.
+    if (typeof state.incomingMetadata.csrf === 'string') {
+      holder.sessionCsrfSecret = state.incomingMetadata.csrf
+    }
+
+    // Session ID: cookies issued before session IDs were introduced get one on the way out.
+    if (typeof state.incomingMetadata.sid === 'string') {
+      holder.sessionId = state.incomingMetadata.sid
+    }
+
+    await runHook(config, 'onLoad', { event, context, session, keyIndex, cookieSize })
+  }
+
+  state.incomingSnapshot = config.codec.encode(session)
+
+  return state
+}
+
+/**
+ * Reads, verifies and parses the session cookie from parsed incoming cookies.
+ * Session data are loaded from the store in store mode.
+ *
+ * @param {?Object} incomingCookies - From `parseCookieHeaders()`.
+ * @param {Object} config - From `getConfig()`.
+ * @param {number} now - Current timestamp, in seconds.
+ * @returns {Promise<Object>} - `{data, metadata, keyIndex, encrypted, cookieSize, stored, reason, error}`.
+ *   `data` is `null` if the session is not valid: `reason` says why, and `error` holds the matching error from `errors.js`, if any.
+ *   `encrypted` is `true` if the session cookie was encrypted, rather than signed.
+ *   `stored` is `true` if session data were loaded from the store.
+ * @private
+ */
+async function verifySession (incomingCookies, config, now) {
+  const { cookieName, secretKeys, timeouts, store, codec, schema } = config
+  const invalid = (reason, error = null) => ({ data: null, metadata: null, keyIndex: -1, encrypted: false, cookieSize: 0, stored: false, reason, error })
+
+  const incomingValues = incomingCookies ? readSessionCookieValues(incomingCookies, cookieName) : []
+
+  if (incomingValues.length === 0) {
+    return invalid('missing')
+  }
+
+  // Duplicate session cookies (i.e: set for different paths or domains) are tried in order: the first one that verifies is kept.
+  // Cookies signed with a previous key are accepted, and re-signed with the current key on the way out.
+  let decoded = null
+  let data = null
+  let error = null
+  let encrypted = false
+  let cookieSize = 0
+
+  for (const incomingValue of incomingValues) {
+    try {
+      decoded = await decodeCookieValue(incomingValue, secretKeys)
+      data = await decodePayload(decoded.payload, codec)
+      encrypted = incomingValue.startsWith(ENCRYPTED_COOKIE_PREFIX)
+      cookieSize = encodeUTF8(incomingValue).length
+      break
+    } catch (err) {
+      if (!(err instanceof SessionError)) {
+        throw err
+      }
+
+      error = error || err // Reports the first error encountered.
+    }
+  }
+
+  if (!data) {
+    return invalid(error.code, error)
+  }
+
+  const metadata = data[SESSION_METADATA_KEY]
+  delete data[SESSION_METADATA_KEY]
+
+  // Sessions that went past their absolute or idle timeout, or their expiry, are discarded.
+  if (isSessionExpired(metadata, timeouts, now)) {
+    return invalid('expired', new SessionExpiredError())
+  }
+
+  // Store mode: the cookie only holds metadata, session data are loaded from the store using the session ID.
+  // Cookies holding session data themselves (issued before store mode was enabled) are used as is.
+  const stored = Boolean(store && metadata && typeof metadata.sid === 'string' && Object.keys(data).length === 0)
+
+  if (stored) {
+    const record = await store.get(metadata.sid)
+
+    if (!record) {
+      return invalid('not-found')
+    }
+
+    try {
+      data = fromStoredSession(record, codec)
+    } catch (err) {
+      if (!(err instanceof SessionError)) {
+        throw err
+      }
+
+      return invalid(err.code, err)
+    }
+  }
+
+  // Session data are upgraded to the current schema version, and validated.
+  try {
+    data = upgradeSession(data, metadata, schema)
+  } catch (err) {
+    if (!(err instanceof SessionError)) {
+      throw err
+    }
+
+    return invalid(err.code, err)
+  }
+
+  return { data, metadata, keyIndex: decoded.keyIndex, encrypted, cookieSize, stored, reason: null, error: null }
+}
+
+/**
+ * Signs (or encrypts) session data into the raw value of a session cookie, outside of a session wrapper.
+ * Session data are validated against the schema (if any), and saved to the store in store mode.
+ *
+ * Used by `serializeSession()`, and by `testing.js`, which overrides metadata to issue expired sessions.
+ *
+ * @param {Object} data - Session data.
+ * @param {Object} config - From `getConfig()`.
+ * @param {Object} [overrides] - Replaces the matching entries of session metadata (`iat`, `lst`, `exp`, `sid` ...).
+ * @returns {Promise<string>} - Raw value of the session cookie.
+ * @private
+ */
+async function encodeSession (data, config, overrides = {}) {
+  const { secretKeys, encrypted, cookieOptions, store, codec, compression, schema } = config
+  const now = Math.floor(Date.now() / 1000)
+  const session = { ...data }
+  const metadata = { iat: now, lst: now, exp: now + cookieOptions.maxAge, sid: generateSessionId() }
+
+  delete session[SESSION_METADATA_KEY]
+  checkSession(session, schema.validate)
+
+  if (schema.version > 0) {
+    metadata.ver = schema.version
+  }
+
+  Object.assign(metadata, overrides)
+
+  if (store) {
+    await store.set(metadata.sid, toStoredSession(session, codec), cookieOptions.maxAge)
+  }
+
+  const payload = await encodePayload(
+    store ? { [SESSION_METADATA_KEY]: metadata } : { ...session, [SESSION_METADATA_KEY]: metadata },
+    codec,
+    compression
+  )
+
+  return await encodeCookieValue(payload, secretKeys, encrypted)
+}
+
+/**
+ * Decodes the value of a session cookie for inspection, outside of a session wrapper. Used by the command-line tool (see `cli.js`).
+ * - If `secretKeys` are given, the cookie is verified (or decrypted) first.
+ * - Otherwise, the payload of signed cookies is read as is, without checking the signature. Encrypted cookies can't be read that way.
+ *
+ * Timeouts, expiry, the store and the schema are not taken into account. Payloads using a custom codec can't be decoded.
+ * Throws a `SessionError` if the cookie can't be decoded or verified.
+ *
+ * @param {string} value - Raw value of the session cookie.
+ * @param {?string[]} secretKeys - From `getSecretKeys()`. `null` to skip verification.
+ * @returns {Promise<{data: Object, metadata: ?Object, keyIndex: ?number, encrypted: boolean}>} - `keyIndex` is `null` if the cookie was not verified.
+ * @private
+ */
+async function inspectCookieValue (value, secretKeys) {
+  const encrypted = value.startsWith(ENCRYPTED_COOKIE_PREFIX)
+  let payload = null
+  let keyIndex = null
+
+  if (secretKeys) {
+    ({ payload, keyIndex } = await decodeCookieValue(value, secretKeys))
+  } else if (encrypted) {
+    throw new MalformedPayloadError('Encrypted session cookies can only be read using a secret key.')
+  } else {
+    payload = decodeBase64(value.substring(SIGNATURE_DIGEST_LENGTH))
+
+    if (payload === null) {
+      throw new MalformedPayloadError('Session cookie is not valid base64.')
+    }
+  }
+
+  const data = await decodePayload(payload, CODECS.json)
+  const metadata = data[SESSION_METADATA_KEY] || null
+  delete data[SESSION_METADATA_KEY]
+
+  return { data, metadata, keyIndex, encrypted }
+}
+
+/**
+ * Signs (or encrypts) session data held by `context` and serializes them into `Set-Cookie` values, if needed.
+ * Saves session data to the store, in store mode.
+ * Runs the `onBeforeSave` and `onSave` hooks, if any (see `getHooks()` in `config.js`).
+ *
+ * @param {Object} state - From `loadSession()`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @returns {Promise<string[]>} - Values to be added to `Set-Cookie`. Can be empty.
+ * @private
+ */
+async function saveSession (state, context, config) {
+  const { event } = state
+  const session = getSession(context, config.name)
+  const destroyed = getSessionHolder(context, config.name).sessionCookieDestroyed === true
+
+  if (!destroyed) {
+    await runHook(config, 'onBeforeSave', { event, context, session })
+  }
+
+  const cookies = await serializeOutgoingSession(state, context, config)
+
+  if (cookies.length > 0) {
+    const cookieSize = cookies.reduce((size, value) => size + encodeUTF8(value).length, 0)
+    await runHook(config, 'onSave', { event, context, session, cookies, cookieSize, destroyed })
+  }
+
+  return cookies
+}
+
+/**
+ * Loads the default session, as well as named sessions (see `getNamedSessionConfigs()` in `config.js`), each from its own cookie.
+ * Wrappers must respond with a "400 Bad Request" status if `state.rejected` is set.
+ *
+ * @param {?Object} incomingCookies - From `parseCookieHeaders()`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @param {Object} event - Lambda event or `Request` given to the function handler. Passed to hooks.
+ * @returns {Promise<{sessions: Object[], rejected: ?SessionError}>} - State of each incoming session, see `loadSession()`.
+ * @private
+ */
+async function loadSessions (incomingCookies, context, config, event) {
+  const state = { sessions: [], rejected: null }
+
+  for (const sessionConfig of [config, ...config.sessions]) {
+    const sessionState = await loadSession(incomingCookies, context, sessionConfig, event)
+    state.sessions.push(sessionState)
+
+    if (sessionState.rejected) {
+      state.rejected = sessionState.rejected
+      break
+    }
+  }
+
+  return state
+}
+
+/**
+ * Saves the default session, as well as named sessions, each to its own cookie. See `saveSession()`.
+ * Wrappers must respond with a "400 Bad Request" status if `state.rejected` is set.
+ *
+ * @param {Object} state - From `loadSessions()`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @returns {Promise<string[]>} - Values to be added to `Set-Cookie`. Can be empty.
+ * @private
+ */
+async function saveSessions (state, context, config) {
+  const configs = [config, ...config.sessions]
+  const cookies = []
+
+  for (const [index, sessionState] of state.sessions.entries()) {
+    cookies.push(...await saveSession(sessionState, context, configs[index]))
+
+    if (sessionState.rejected) {
+      state.rejected = sessionState.rejected
+      return []
+    }
+  }
+
+  return cookies
+}
+
+/**
+ * Serializes the outgoing session into `Set-Cookie` values, if needed. See `saveSession()`.
+ *
+ * @param {Object} state - From `loadSession()`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @returns {Promise<string[]>} - Values to be added to `Set-Cookie`. Can be empty.
+ * @private
+ */
+async function serializeOutgoingSession (state, context, config) {
+  const { cookieName, secretKeys, encrypted, timeouts, expiryMode, cookieOptions, store, codec, compression, schema } = config
+  const { now, incomingCookies, incomingMetadata, incomingKeyIndex, incomingEncrypted, incomingSnapshot, incomingStored } = state
+  const holder = getSessionHolder(context, config.name)
+  const session = getSession(context, config.name)
+
+  // Session was destroyed: send expiring cookies, using the same attributes as the session cookie.
+  if (holder.sessionCookieDestroyed === true) {
+    if (store && incomingStored) {
+      await store.destroy(incomingMetadata.sid)
+    }
+
+    return serializeSessionCookies(cookieName, null, cookieOptions, incomingCookies)
+  }
+
+  // Determine if the session cookie needs to be sent back.
+  // Anonymous visitors with an empty session (and no CSRF token) don't get a cookie at all.
+  const csrfSecret = holder.sessionCsrfSecret || null
+  const csrfChanged = csrfSecret !== ((incomingMetadata && incomingMetadata.csrf) || null)
+  const sessionId = getSessionId(context, config.name)
+  const idChanged = sessionId !== ((incomingMetadata && incomingMetadata.sid) || null)
+  const changed = codec.encode(session) !== incomingSnapshot
+  const upgraded = incomingMetadata !== null && (incomingMetadata.ver || 0) !== schema.version // Migrated on the way in.
+  const extend = isExpiryRefreshDue(incomingMetadata, cookieOptions.maxAge, expiryMode, now)
+  const touch = isLastSeenRefreshDue(incomingMetadata, timeouts, now)
+  const resign = incomingKeyIndex > 0 || (incomingMetadata !== null && incomingEncrypted !== encrypted) // Previous key, or format.
+  const anonymous = incomingMetadata === null && Object.keys(session).length === 0 && !csrfSecret
+
+  if (anonymous) {
+    return []
+  }
+
+  const metadata = {
+    iat: incomingMetadata ? incomingMetadata.iat : now,
+    lst: now,
+    exp: extend ? now + cookieOptions.maxAge : incomingMetadata.exp,
+    sid: sessionId
+  }
+
+  if (csrfSecret) {
+    metadata.csrf = csrfSecret
+  }
+
+  if (schema.version > 0) {
+    metadata.ver = schema.version
+  }
+
+  // Outgoing session data must match the schema, if any. Handled as per failure policy otherwise.
+  if (changed) {
+    try {
+      checkSession(session, schema.validate)
+    } catch (err) {
+      if (!(err instanceof SessionValidationError)) {
+        throw err
+      }
+
+      return await discardOutgoingSession(err, state, context, config)
+    }
+  }
+
+  // Store mode: save session data to the store. The cookie only changes if a new session ID (or CSRF secret) was issued,
+  // if session data were migrated, or if it still holds session data (issued before store mode was enabled).
+  let cookieChanged = changed || csrfChanged || idChanged || upgraded
+
+  if (store) {
+    if (changed || idChanged || upgraded || !incomingStored) {
+      await store.set(metadata.sid, toStoredSession(session, codec), metadata.exp - now)
+    } else if (extend) {
+      await store.touch(metadata.sid, metadata.exp - now)
+    }
+
+    // Session was regenerated: the record held under the previous ID can no longer be used.
+    if (idChanged && incomingStored) {
+      await store.destroy(incomingMetadata.sid)
+    }
+
+    cookieChanged = csrfChanged || idChanged || upgraded || !incomingStored
+  }
+
+  if (!cookieChanged && !extend && !touch && !resign) {
+    return []
+  }
+
+  // Sign (or encrypt) session data (or session ID).
+  const payload = await encodePayload(
+    store ? { [SESSION_METADATA_KEY]: metadata } : { ...session, [SESSION_METADATA_KEY]: metadata },
+    codec,
+    compression
+  )
+  const cookieValue = await encodeCookieValue(payload, secretKeys, encrypted)
+
+  const outgoingOptions = { ...cookieOptions, maxAge: metadata.exp - now }
+
+  try {
+    return serializeSessionCookies(cookieName, cookieValue, outgoingOptions, incomingCookies)
+  } catch (err) {
+    if (!(err instanceof SessionTooLargeError)) {
+      throw err
+    }
+
+    return await discardOutgoingSession(err, state, context, config)
+  }
+}
+
+/**
+ * Handles an outgoing session that can't be saved (too large, or not matching the schema) as per failure policy.
+ * - "reset": The session is discarded, and session cookies the client may hold are expired (as well as the store record).
+ * - "reject": `state.rejected` is set, no cookie is sent.
+ * - "throw": The error is thrown.
+ *
+ * Runs the `onInvalid` hook, if any.
+ *
+ * @param {SessionError} error - See `errors.js`.
+ * @param {Object} state - From `loadSession()`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @returns {Promise<string[]>} - Values to be added to `Set-Cookie`. Can be empty.
+ * @private
+ */
+async function discardOutgoingSession (error, state, context, config) {
+  const { cookieName, cookieOptions, store } = config
+  const { event, incomingCookies, incomingMetadata, incomingStored } = state
+
+  await runHook(config, 'onInvalid', { event, context, error })
+
+  if (handleSessionError(error, context, config)) {
+    state.rejected = error
+    return []
+  }
+
+  clearSession(context, config.name)
+
+  if (store && incomingStored) {
+    await store.destroy(incomingMetadata.sid)
+  }
+
+  return serializeSessionCookies(cookieName, null, cookieOptions, incomingCookies)
+}
+
+/**
+ * Runs a lifecycle hook given to `withSession()`, if set. See `getHooks()` in `config.js`.
+ * Hooks are also given the `name` of the session (`null` for the default session).
+ *
+ * @param {Object} config - From `getConfig()`.
+ * @param {string} hook - Name of the hook.
+ * @param {Object} details - Passed to the hook.
+ * @returns {Promise}
+ * @private
+ */
+async function runHook (config, hook, details) {
+  if (config.hooks[hook]) {
+    await config.hooks[hook]({ ...details, name: config.name })
+  }
+}
+
+/**
+ * Handles a session error as per failure policy (see `getFailurePolicy()` in `config.js`).
+ * - "reset": The error is made available to the handler via `getSessionError()`.
+ * - "reject": Returns `true`: the wrapper must respond with a "400 Bad Request" status.
+ * - "throw": The error is thrown.
+ *
+ * @param {SessionError} error - See `errors.js`.
+ * @param {Object} context - From the function handler.
+ * @param {Object} config - From `getConfig()`.
+ * @returns {boolean} - `true` if the request must be rejected.
+ * @private
+ */
+function handleSessionError (error, context, config) {
+  const policy = config.failurePolicy[error.code]
+
+  if (policy === 'throw') {
+    throw error
+  }
+
+  getSessionHolder(context, config.name).sessionCookieError = error
+
+  return policy === 'reject'
+}
+
+/**
+ * Appends `Set-Cookie` values to the headers of a web `Response` object.
+ * Headers of some responses (i.e: `Response.redirect()`) are immutable: the response is copied if needed.
+ *
+ * @param {Response} response - From the function handler.
+ * @param {string[]} values - From `saveSession()`.
+ * @returns {Response} - `response`, or a copy of it, with `Set-Cookie` values appended.
+ * @private
+ */
+function appendSetCookieToResponse (response, values) {
+  if (values.length === 0) {
+    return response
+  }
+
+  try {
+    response.headers.append('Set-Cookie', values[0])
+  } catch (err) {
+    response = new Response(response.body, response)
+    response.headers.append('Set-Cookie', values[0])
+  }
+
+  for (const value of values.slice(1)) {
+    response.headers.append('Set-Cookie', value)
+  }
+
+  return response
+}
+
+/**
+ * Parses and merges one or several `Cookie` headers.
+ * Unlike `cookie.parse()`, which only keeps the first occurrence of a given cookie, all distinct values are kept, in order.
+ *
+ * @param {string[]} headers - Raw `Cookie` header values. Entries that are not strings are ignored.
+ * @returns {?Object} - Cookie name -> array of values, or `null` if no cookies were found.
+ * @private
+ */
+function parseCookieHeaders (headers) {
+  const cookies = Object.create(null)
+
+  for (const header of headers) {
+    if (typeof header !== 'string') {
+      continue
+    }
+
+    for (const pair of header.split(';')) {
+      for (const [name, value] of Object.entries(cookie.parse(pair))) {
+        if (!cookies[name]) {
+          cookies[name] = []
+        }
+
+        if (!cookies[name].includes(value)) {
+          cookies[name].push(value)
+        }
+      }
+    }
+  }
+
+  return Object.keys(cookies).length > 0 ? cookies : null
+}
+
+/**
+ * Reads the raw values of the session cookie from parsed incoming cookies.
+ * If the session cookie was split into chunks (`name.0`, `name.1` ...), these are put back together, in order.
+ *
+ * Plain session cookies come first, followed by the chunked one, if any.
+ * Duplicate chunks can't be told apart: only the first value of each chunk is used.
+ *
+ * @param {Object} incomingCookies - From `parseCookieHeaders()`.
+ * @param {string} cookieName - From `getCookieName()`.
+ * @returns {string[]} - Raw values of the session cookie. Empty if not found.
+ * @private
+ */
+function readSessionCookieValues (incomingCookies, cookieName) {
+  const values = (incomingCookies[cookieName] || []).filter(value => value)
+
+  let chunked = ''
+
+  for (let i = 0; i < COOKIE_MAX_CHUNKS && incomingCookies[`${cookieName}.${i}`]; i++) {
+    chunked += incomingCookies[`${cookieName}.${i}`][0]
+  }
+
+  if (chunked) {
+    values.push(chunked)
+  }
+
+  return values
+}
+
+/**
+ * Serializes the session cookie into one or several `Set-Cookie` values.
+ *
+ * - If the serialized cookie fits within `COOKIE_MAX_SIZE`, a single cookie named `cookieName` is used.
+ * - Otherwise, the value is split across numbered cookies (`name.0`, `name.1` ...).
+ * - Incoming cookies that are no longer needed (plain cookie or stale chunks) are expired.
+ * - If `value` is `null`, all incoming session cookies are expired.
+ *
+ * Throws if the session would require more than `COOKIE_MAX_CHUNKS` cookies.
+ *
+ * @param {string} cookieName - From `getCookieName()`.
+ * @param {?string} value - Raw value of the session cookie. `null` to expire it.
+ * @param {Object} options - Options object for `cookie.serialize`.
+ * @param {?Object} incomingCookies - From `parseCookieHeaders()`.
+ * @returns {string[]} - Values to be added to `Set-Cookie`.
+ * @private
+ */
+function serializeSessionCookies (cookieName, value, options, incomingCookies) {
+  const expiredOptions = { ...options, maxAge: 0, expires: new Date(0) }
+  const outgoing = []
+  let chunks = []
+
+  // Split value into chunks, if needed.
+  if (value !== null) {
+    const single = cookie.serialize(cookieName, value, options)
+
+    if (encodeUTF8(single).length <= COOKIE_MAX_SIZE) {
+      outgoing.push(single)
+    } else {
+      // Available space per chunk: max size minus name and attributes of the largest chunk.
+      const overhead = encodeUTF8(cookie.serialize(`${cookieName}.${COOKIE_MAX_CHUNKS}`, '', options)).length
+      chunks = splitCookieValue(value, COOKIE_MAX_SIZE - overhead)
+
+      if (chunks.length > COOKIE_MAX_CHUNKS) {
+        throw new SessionTooLargeError(
+          `Session cookie is too large (${encodeUTF8(single).length} bytes): ` +
+          `it would require ${chunks.length} cookies, maximum is ${COOKIE_MAX_CHUNKS}.`
+        )
+      }
+
+      for (const [i, chunk] of chunks.entries()) {
+        outgoing.push(cookie.serialize(`${cookieName}.${i}`, chunk, options))
+      }
+    }
+  }
+
+  // Expire incoming cookies that are no longer in use.
+  if (incomingCookies) {
+    if ((value === null || chunks.length > 0) && incomingCookies[cookieName] !== undefined) {
+      outgoing.push(cookie.serialize(cookieName, '', expiredOptions))
+    }
+
+    for (let i = chunks.length; i < COOKIE_MAX_CHUNKS; i++) {
+      if (incomingCookies[`${cookieName}.${i}`] !== undefined) {
+        outgoing.push(cookie.serialize(`${cookieName}.${i}`, '', expiredOptions))
+      }
+    }
+  }
+
+  // Always expire the session cookie when destroying, even if it wasn't sent by the client.
+  if (value === null && outgoing.length === 0) {
+    outgoing.push(cookie.serialize(cookieName, '', expiredOptions))
+  }
+
+  return outgoing
+}
+
+/**
+ * Splits a raw cookie value into chunks which, once URI-encoded by `cookie.serialize`, are at most `maxLength` long.
+ *
+ * @param {string} value - Raw cookie value.
+ * @param {number} maxLength - Maximum encoded length of a chunk.
+ * @returns {string[]}
+ * @private
+ */
+function splitCookieValue (value, maxLength) {
+  const chunks = []
+  let chunk = ''
+  let chunkLength = 0
+
+  for (const char of value) {
+    const charLength = encodeURIComponent(char).length
+
+    if (chunkLength + charLength > maxLength) {
+      chunks.push(chunk)
+      chunk = ''
+      chunkLength = 0
+    }
+
+    chunk += char
+    chunkLength += charLength
+  }
+
+  chunks.push(chunk)
+  return chunks
+}
+
+/**
+ * Signs or encrypts a payload so it can be used as the value of the session cookie.
+ * Always uses the first (current) key of `secretKeys`.
+ *
+ * @param {(Uint8Array|string)} payload - Serialized session data, from `encodePayload()` (see `codec.js`). Strings are encoded as UTF-8.
+ * @param {string[]} secretKeys - From `getSecretKeys()`.
+ * @param {boolean} encrypted - If `true`, data is encrypted using AES-256-GCM instead of only being signed.
+ * @returns {Promise<string>} - Value of the session cookie.
+ * @private
+ */
+async function encodeCookieValue (payload, secretKeys, encrypted) {
+  const bytes = typeof payload === 'string' ? encodeUTF8(payload) : payload
+
+  if (encrypted) {
+    const key = await deriveEncryptionKey(secretKeys[0])
+    const iv = webCrypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_LENGTH))
+
+    // Web Crypto returns [ciphertext][tag]: re-ordered as [iv][tag][ciphertext].
+    const result = new Uint8Array(await webCrypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, tagLength: ENCRYPTION_AUTH_TAG_LENGTH * 8 },
+      key,
+      bytes
+    ))
+    const ciphertext = result.subarray(0, result.length - ENCRYPTION_AUTH_TAG_LENGTH)
+    const authTag = result.subarray(result.length - ENCRYPTION_AUTH_TAG_LENGTH)
+
+    return ENCRYPTED_COOKIE_PREFIX + encodeBase64(concatBytes([iv, authTag, ciphertext])) // session=e.[iv][tag][ciphertext]
+  }
+
+  return await sign(bytes, secretKeys[0]) + encodeBase64(bytes) // session=[signature][data]
+}
+
+/**
+ * Verifies (or decrypts) the value of a session cookie and returns the payload it contains, to be decoded by `decodePayload()`.
+ * Accepts both signed and encrypted cookies, made with any of the keys in `secretKeys`.
+ * Throws a `MalformedPayloadError` if the cookie can't be decoded, an `InvalidSignatureError` if it can't be verified.
+ *
+ * @param {string} value - Raw value of the session cookie.
+ * @param {string[]} secretKeys - From `getSecretKeys()`.
+ * @returns {Promise<{payload: Uint8Array, keyIndex: number}>} - Serialized session data and index of the key that verified it.
+ * @private
+ */
+async function decodeCookieValue (value, secretKeys) {
+  // Encrypted cookie: try to decrypt using each key. GCM's auth tag guarantees integrity.
+  if (value.startsWith(ENCRYPTED_COOKIE_PREFIX)) {
+    const raw = decodeBase64(value.substring(ENCRYPTED_COOKIE_PREFIX.length))
+
+    if (raw === null || raw.length < ENCRYPTION_IV_LENGTH + ENCRYPTION_AUTH_TAG_LENGTH) {
+      throw new MalformedPayloadError('Encrypted session cookie is not valid base64, or is truncated.')
+    }
+
+    const iv = raw.subarray(0, ENCRYPTION_IV_LENGTH)
+    const authTag = raw.subarray(ENCRYPTION_IV_LENGTH, ENCRYPTION_IV_LENGTH + ENCRYPTION_AUTH_TAG_LENGTH)
+    const ciphertext = raw.subarray(ENCRYPTION_IV_LENGTH + ENCRYPTION_AUTH_TAG_LENGTH)
+
+    for (const [keyIndex, secretKey] of secretKeys.entries()) {
+      try {
+        const decrypted = await webCrypto.subtle.decrypt(
+          { name: 'AES-GCM', iv, tagLength: ENCRYPTION_AUTH_TAG_LENGTH * 8 },
+          await deriveEncryptionKey(secretKey),
+          concatBytes([ciphertext, authTag])
+        )
+        return { payload: new Uint8Array(decrypted), keyIndex }
+      } catch (err) {
+        // Authentication failed with this key: try the next one.
+      }
+    }
+
+    throw new InvalidSignatureError('Session cookie could not be decrypted with any of the secret keys.')
+  }
+
+  // Signed cookie.
+  // Signature: first X characters (`SIGNATURE_DIGEST_LENGTH`), stays in base64.
+  // Note: Only works because we know that all characters used for signatures are 1 byte long.
+  const signature = value.substring(0, SIGNATURE_DIGEST_LENGTH)
+
+  // Data: everything after the signature. Needs to be decoded from base64.
+  const data = decodeBase64(value.substring(SIGNATURE_DIGEST_LENGTH))
+
+  if (data === null) {
+    throw new MalformedPayloadError('Session cookie is not valid base64.')
+  }
+
+  for (const [keyIndex, secretKey] of secretKeys.entries()) {
+    if (await verify(data, signature, secretKey)) {
+      return { payload: data, keyIndex }
+    }
+  }
+
+  throw new InvalidSignatureError()
+}
+
+/**
+ * Signs a string (or bytes) using HMAC SHA-256.
+ * Signature format is the same as the one used by `keygrip` (URL-safe base64, without padding),
+ * which was used to sign cookies in previous versions of this library.
+ *
+ * @param {(string|Uint8Array)} data - Data to sign.
+ * @param {string} secretKey - Key to sign data with.
+ * @returns {Promise<string>} - Signature, `SIGNATURE_DIGEST_LENGTH` characters long.
+ * @private
+ */
+async function sign (data, secretKey) {
+  const key = await importSigningKey(secretKey)
+  const signature = new Uint8Array(await webCrypto.subtle.sign('HMAC', key, typeof data === 'string' ? encodeUTF8(data) : data))
+
+  return encodeBase64(signature).replace(/\//g, '_').replace(/\+/g, '-').replace(/=/g, '')
+}
+
+/**
+ * Verifies the HMAC SHA-256 signature of a string (or bytes), in constant time.
+ *
+ * @param {(string|Uint8Array)} data - Data that was signed.
+ * @param {string} signature - From `sign()`.
+ * @param {string} secretKey - Key to verify the signature with.
+ * @returns {Promise<boolean>}
+ * @private
+ */
+async function verify (data, signature, secretKey) {
+  if (signature.length !== SIGNATURE_DIGEST_LENGTH) {
+    return false
+  }
+
+  const signatureBytes = decodeBase64(signature.replace(/_/g, '/').replace(/-/g, '+') + '=')
+
+  if (signatureBytes === null) {
+    return false
+  }
+
+  const key = await importSigningKey(secretKey)
+  return await webCrypto.subtle.verify('HMAC', key, signatureBytes, typeof data === 'string' ? encodeUTF8(data) : data)
+}
+
+/**
+ * Imports a secret key for use with HMAC SHA-256.
+ *
+ * @param {string} secretKey - One of the keys returned by `getSecretKeys()`.
+ * @returns {Promise<CryptoKey>}
+ * @private
+ */
+async function importSigningKey (secretKey) {
+  return await webCrypto.subtle.importKey(
+    'raw',
+    encodeUTF8(secretKey),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  )
+}
+
+/**
+ * Derives a 32-byte-long AES-256-GCM key from a given secret key using HKDF (SHA-256).
+ *
+ * @param {string} secretKey - One of the keys returned by `getSecretKeys()`.
+ * @returns {Promise<CryptoKey>} - Encryption key.
+ * @private
+ */
+async function deriveEncryptionKey (secretKey) {
+  const baseKey = await webCrypto.subtle.importKey('raw', encodeUTF8(secretKey), 'HKDF', false, ['deriveBits'])
+
+  const bits = await webCrypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encodeUTF8(ENCRYPTION_KEY_INFO) },
+    baseKey,
+    256
+  )
+
+  return await webCrypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt'])
+}
+
+/**
+ * Encodes a string into UTF-8 bytes.
+ *
+ * @param {string} value
+ * @returns {Uint8Array}
+ * @private
+ */
+function encodeUTF8 (value) {
+  return new TextEncoder().encode(value)
+}
+
+/**
+ * Encodes bytes into base64.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ * @private
+ */
+function encodeBase64 (bytes) {
+  let binary = ''
+
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte)
+  }
+
+  return btoa(binary)
+}
+
+/**
+ * Decodes base64 into bytes.
+ *
+ * @param {string} value
+ * @returns {?Uint8Array} - `null` if `value` is not valid base64.
+ * @private
+ */
+function decodeBase64 (value) {
+  let binary = null
+
+  try {
+    binary = atob(value)
+  } catch (err) {
+    return null
+  }
+
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+/**
+ * Concatenates a list of byte arrays.
+ *
+ * @param {Uint8Array[]} arrays
+ * @returns {Uint8Array}
+ * @private
+ */
+function concatBytes (arrays) {
+  const bytes = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0))
+  let offset = 0
+
+  for (const array of arrays) {
+    bytes.set(array, offset)
+    offset += array.length
+  }
+
+  return bytes
+}
+
+/**
+ * Prepares session data to be handed to the store.
+ * Data are handed over as is with the "json" codec, and encoded with the configured codec otherwise.
+ *
+ * @param {Object} session - Session data.
+ * @param {Object} codec - From `getCodec()` in `config.js`.
+ * @returns {Object}
+ * @private
+ */
+function toStoredSession (session, codec) {
+  if (codec.name === CODECS.json.name) {
+    return session
+  }
+
+  return { [STORED_PAYLOAD_KEY]: { codec: codec.name, data: codec.encode(session) } }
+}
+
+/**
+ * Reads session data back from a store record. See `toStoredSession()`.
+ * Throws a `MalformedPayloadError` if the record was encoded with an unknown codec, or does not hold an object.
+ *
+ * @param {Object} record - As returned by the store.
+ * @param {Object} codec - From `getCodec()` in `config.js`. Used if the record was encoded with a custom codec.
+ * @returns {Object} - Session data.
+ * @private
+ */
+function fromStoredSession (record, codec) {
+  if (!Object.prototype.hasOwnProperty.call(record, STORED_PAYLOAD_KEY)) {
+    return record // Saved with the "json" codec.
+  }
+
+  const { codec: codecName, data } = record[STORED_PAYLOAD_KEY] || {}
+  const usedCodec = CODECS[codecName] || (codec.name === codecName ? codec : null)
+
+  if (!usedCodec || typeof data !== 'string') {
+    throw new MalformedPayloadError(`Stored session uses an unknown codec ("${codecName}").`)
+  }
+
+  let session = null
+
+  try {
+    session = usedCodec.decode(data)
+  } catch (err) {
+    throw new MalformedPayloadError('Stored session could not be decoded.')
+  }
+
+  if (!session || typeof session !== 'object' || Array.isArray(session)) {
+    throw new MalformedPayloadError('Stored session does not hold an object.')
+  }
+
+  return session
+}
+
+/**
+ * Determines whether a session went past its absolute or idle timeout, or its expiry, based on its metadata.
+ * Sessions without timestamps (issued before they were introduced) can't be checked against timeouts:
+ * they are considered expired if a timeout is set, so that they can't be replayed forever.
+ *
+ * @param {?Object} metadata - Session metadata, as stored under `SESSION_METADATA_KEY`.
+ * @param {Object} timeouts - From `getSessionTimeouts()`.
+ * @param {number} now - Current timestamp, in seconds.
+ * @returns {boolean}
+ * @private
+ */
+function isSessionExpired (metadata, timeouts, now) {
+  if (!metadata || typeof metadata !== 'object') {
+    metadata = {}
+  }
+
+  if (timeouts.absolute && (!Number.isInteger(metadata.iat) || now - metadata.iat > timeouts.absolute)) {
+    return true
+  }
+
+  if (timeouts.idle && (!Number.isInteger(metadata.lst) || now - metadata.lst > timeouts.idle)) {
+    return true
+  }
+
+  if (Number.isInteger(metadata.exp) && metadata.exp <= now) {
+    return true
+  }
+
+  return false
+}
+
+/**
+ * Determines whether the expiry of the session cookie needs to be pushed back, as per expiry mode.
+ * - New sessions, or sessions without a known expiry, always need one.
+ * - "fixed" mode: expiry is never pushed back.
+ * - "rolling" mode: expiry is pushed back once `refreshThreshold` of the cookie's lifetime has elapsed.
+ *
+ * @param {?Object} metadata - Metadata of the incoming session, if any.
+ * @param {number} maxAge - Lifetime of the cookie, in seconds.
+ * @param {Object} expiryMode - From `getExpiryMode()`.
+ * @param {number} now - Current timestamp, in seconds.
+ * @returns {boolean}
+ * @private
+ */
+function isExpiryRefreshDue (metadata, maxAge, expiryMode, now) {
+  if (!metadata || !Number.isInteger(metadata.exp)) {
+    return true
+  }
+
+  if (expiryMode.mode === 'fixed') {
+    return false
+  }
+
+  const elapsed = now - (metadata.exp - maxAge)
+  return elapsed >= maxAge * expiryMode.refreshThreshold
+}
+
+/**
+ * Determines whether the "last seen" timestamp of the session needs to be refreshed.
+ * Only relevant if an idle timeout is set: the timestamp is refreshed once half of the idle timeout has elapsed.
+ *
+ * @param {?Object} metadata - Metadata of the incoming session, if any.
+ * @param {Object} timeouts - From `getSessionTimeouts()`.
+ * @param {number} now - Current timestamp, in seconds.
+ * @returns {boolean}
+ * @private
+ */
+function isLastSeenRefreshDue (metadata, timeouts, now) {
+  if (!metadata || !timeouts.idle) {
+    return false
+  }
+
+  return now - metadata.lst >= timeouts.idle / 2
+}
+
+//
+// Exports
+//
+module.exports = {
+  getSession,
+  getSessionError,
+  getSessionId,
+  clearSession,
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  loadSession,
+  saveSession,
+  loadSessions,
+  saveSessions,
+  encodeSession,
+  inspectCookieValue,
+  parseCookieHeaders,
+  serializeSessionCookies,
+  appendSetCookieToResponse,
+  webCrypto
+}
@@ -0,0 +1,249 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file core.test.js
+ */
+const crypto = require('crypto')
+const rewire = require('rewire')
+const { test, expect, describe } = require('@jest/globals')
+
+const { generateSecretKey, withSession, getSession, createMemoryStore } = require('./index.js')
+
+const lib = rewire('./core.js')
+const encodeCookieValue = lib.__get__('encodeCookieValue')
+const decodeCookieValue = lib.__get__('decodeCookieValue')
+const readSession = lib.__get__('readSession')
+const serializeSession = lib.__get__('serializeSession')
+const sign = lib.__get__('sign')
+const isSessionExpired = lib.__get__('isSessionExpired')
+const isExpiryRefreshDue = lib.__get__('isExpiryRefreshDue')
+const isLastSeenRefreshDue = lib.__get__('isLastSeenRefreshDue')
+const readSessionCookieValues = lib.__get__('readSessionCookieValues')
+const parseCookieHeaders = lib.__get__('parseCookieHeaders')
+const serializeSessionCookies = lib.__get__('serializeSessionCookies')
+const splitCookieValue = lib.__get__('splitCookieValue')
+const SIGNATURE_DIGEST_LENGTH = lib.__get__('SIGNATURE_DIGEST_LENGTH')
+const COOKIE_MAX_SIZE = lib.__get__('COOKIE_MAX_SIZE')
+const ENCRYPTED_COOKIE_PREFIX = lib.__get__('ENCRYPTED_COOKIE_PREFIX')
+const InvalidSignatureError = lib.__get__('InvalidSignatureError')
+const MalformedPayloadError = lib.__get__('MalformedPayloadError')
+const SessionExpiredError = lib.__get__('SessionExpiredError')
+const SessionTooLargeError = lib.__get__('SessionTooLargeError')
+
+//
+// Mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Test suites
+//
+describe('Test suite for the `encodeCookieValue()` and `decodeCookieValue()` functions:', () => {
+  const json = JSON.stringify({ userId: 42, role: 'admin' })
+
+  test('Signed values can be read by anyone, but not altered.', async () => {
+    const keys = [SESSION_COOKIE_SECRET.valid]
+    const value = await encodeCookieValue(json, keys, false)
+
+    expect(Buffer.from(value.substring(SIGNATURE_DIGEST_LENGTH), 'base64').toString('utf-8')).toBe(json)
+    expect(await decodeCookieValue(value, keys)).toEqual({ payload: new TextEncoder().encode(json), keyIndex: 0 })
+
+    const altered = value.substring(0, SIGNATURE_DIGEST_LENGTH) + Buffer.from('{"userId":1}').toString('base64')
+    await expect(decodeCookieValue(altered, keys)).rejects.toThrow(InvalidSignatureError)
+
+    // Malformed base64.
+    await expect(decodeCookieValue(value.substring(0, SIGNATURE_DIGEST_LENGTH) + '%%%', keys)).rejects.toThrow(MalformedPayloadError)
+  })
+
+  test('Encrypted values are prefixed, do not contain data in clear and cannot be altered.', async () => {
+    const keys = [SESSION_COOKIE_SECRET.valid]
+    const value = await encodeCookieValue(json, keys, true)
+
+    expect(value.startsWith(ENCRYPTED_COOKIE_PREFIX)).toBe(true)
+    expect(Buffer.from(value.substring(ENCRYPTED_COOKIE_PREFIX.length), 'base64').toString('utf-8')).not.toMatch('admin')
+    expect(await decodeCookieValue(value, keys)).toEqual({ payload: new TextEncoder().encode(json), keyIndex: 0 })
+
+    // Flip a byte of the ciphertext.
+    const raw = Buffer.from(value.substring(ENCRYPTED_COOKIE_PREFIX.length), 'base64')
+    raw[raw.length - 1] ^= 1
+    await expect(decodeCookieValue(ENCRYPTED_COOKIE_PREFIX + raw.toString('base64'), keys)).rejects.toThrow(InvalidSignatureError)
+
+    // Truncated value.
+    await expect(decodeCookieValue(ENCRYPTED_COOKIE_PREFIX + 'AAAA', keys)).rejects.toThrow(MalformedPayloadError)
+  })
+
+  test('Encrypted values can be decrypted using a previous key, but not an unknown one.', async () => {
+    const previousKey = generateSecretKey()
+    const value = await encodeCookieValue(json, [previousKey], true)
+
+    expect(await decodeCookieValue(value, [SESSION_COOKIE_SECRET.valid, previousKey])).toEqual({ payload: new TextEncoder().encode(json), keyIndex: 1 })
+    await expect(decodeCookieValue(value, [SESSION_COOKIE_SECRET.valid])).rejects.toThrow(InvalidSignatureError)
+  })
+
+  test('Signatures are identical to the ones produced by `keygrip` with Node\'s `crypto` module.', async () => {
+    const keys = [SESSION_COOKIE_SECRET.valid]
+    const expected = crypto.createHmac('sha256', keys[0])
+      .update(json)
+      .digest('base64')
+      .replace(/\/|\+|=/g, (x) => ({ '/': '_', '+': '-', '=': '' })[x])
+
+    expect(await sign(json, keys[0])).toBe(expected)
+    expect((await encodeCookieValue(json, keys, false)).substring(0, SIGNATURE_DIGEST_LENGTH)).toBe(expected)
+  })
+})
+
+describe('Test suite for the `parseCookieHeaders()`, `readSessionCookieValues()`, `serializeSessionCookies()` and `splitCookieValue()` functions:', () => {
+  test('`splitCookieValue()` accounts for URI-encoding when splitting.', () => {
+    expect(splitCookieValue('abcdef', 2)).toEqual(['ab', 'cd', 'ef'])
+    expect(splitCookieValue('a+b+', 4)).toEqual(['a+', 'b+'])
+  })
+
+  test('`parseCookieHeaders()` merges several headers and keeps all distinct values, in order.', () => {
+    expect(parseCookieHeaders([])).toBe(null)
+    expect(parseCookieHeaders([undefined, null, ''])).toBe(null)
+
+    const cookies = parseCookieHeaders(['session=a; foo=bar', 'session=b', 'session=a; bar=%20'])
+    expect({ ...cookies }).toEqual({ session: ['a', 'b'], foo: ['bar'], bar: [' '] })
+  })
+
+  test('`readSessionCookieValues()` reads plain and chunked session cookies.', () => {
+    expect(readSessionCookieValues({}, 'session')).toEqual([])
+    expect(readSessionCookieValues({ session: [''] }, 'session')).toEqual([])
+    expect(readSessionCookieValues({ session: ['abc', 'def'] }, 'session')).toEqual(['abc', 'def'])
+    expect(readSessionCookieValues({ 'session.0': ['ab', 'xy'], 'session.1': ['c'], 'session.3': ['d'] }, 'session')).toEqual(['abc'])
+    expect(readSessionCookieValues({ session: ['abc'], 'session.0': ['de'] }, 'session')).toEqual(['abc', 'de'])
+  })
+
+  test('`serializeSessionCookies()` expires all incoming session cookies when given `null`.', () => {
+    let outgoing = serializeSessionCookies('session', null, { path: '/' }, null)
+    expect(outgoing).toEqual(['session=; Max-Age=0; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT'])
+
+    outgoing = serializeSessionCookies('session', null, { path: '/' }, { 'session.0': ['a'], 'session.1': ['b'] })
+    expect(outgoing.length).toBe(2)
+    expect(outgoing[0]).toMatch(/^session\.0=;/)
+    expect(outgoing[1]).toMatch(/^session\.1=;/)
+  })
+})
+
+describe('Test suite for the `isSessionExpired()` function:', () => {
+  const now = 10000
+
+  test('Sessions never expire if no timeout is set.', () => {
+    expect(isSessionExpired(undefined, { absolute: 0, idle: 0 }, now)).toBe(false)
+    expect(isSessionExpired({ iat: 0, lst: 0 }, { absolute: 0, idle: 0 }, now)).toBe(false)
+  })
+
+  test('Sessions without timestamps are expired if a timeout is set.', () => {
+    expect(isSessionExpired(undefined, { absolute: 1, idle: 0 }, now)).toBe(true)
+    expect(isSessionExpired({}, { absolute: 0, idle: 1 }, now)).toBe(true)
+    expect(isSessionExpired({ iat: now }, { absolute: 5000, idle: 100 }, now)).toBe(true)
+    expect(isSessionExpired({ iat: now, lst: now }, { absolute: 5000, idle: 100 }, now)).toBe(false)
+  })
+
+  test('Sessions expire once past their absolute or idle timeout.', () => {
+    const timeouts = { absolute: 5000, idle: 100 }
+
+    expect(isSessionExpired({ iat: 6000, lst: 9950 }, timeouts, now)).toBe(false)
+    expect(isSessionExpired({ iat: 4000, lst: 9950 }, timeouts, now)).toBe(true)
+    expect(isSessionExpired({ iat: 6000, lst: 9800 }, timeouts, now)).toBe(true)
+  })
+})
+
+describe('Test suite for the `isExpiryRefreshDue()` and `isLastSeenRefreshDue()` functions:', () => {
+  const now = 10000
+  const maxAge = 1000
+
+  test('New sessions and sessions without a known expiry always need one.', () => {
+    for (const mode of ['rolling', 'fixed']) {
+      expect(isExpiryRefreshDue(null, maxAge, { mode, refreshThreshold: 0.5 }, now)).toBe(true)
+      expect(isExpiryRefreshDue({ iat: now, lst: now, exp: null }, maxAge, { mode, refreshThreshold: 0.5 }, now)).toBe(true)
+    }
+  })
+
+  test('"fixed" mode never refreshes expiry, "rolling" mode does past threshold.', () => {
+    const metadata = { iat: 9000, lst: 9000, exp: 10400 } // 600 seconds elapsed out of 1000.
+
+    expect(isExpiryRefreshDue(metadata, maxAge, { mode: 'fixed', refreshThreshold: 0 }, now)).toBe(false)
+    expect(isExpiryRefreshDue(metadata, maxAge, { mode: 'rolling', refreshThreshold: 0 }, now)).toBe(true)
+    expect(isExpiryRefreshDue(metadata, maxAge, { mode: 'rolling', refreshThreshold: 0.5 }, now)).toBe(true)
+    expect(isExpiryRefreshDue(metadata, maxAge, { mode: 'rolling', refreshThreshold: 0.75 }, now)).toBe(false)
+  })
+
+  test('"Last seen" is only refreshed if an idle timeout is set, past half of it.', () => {
+    const metadata = { iat: 9000, lst: 9900, exp: 10900 }
+
+    expect(isLastSeenRefreshDue(metadata, { absolute: 0, idle: 0 }, now)).toBe(false)
+    expect(isLastSeenRefreshDue(metadata, { absolute: 0, idle: 300 }, now)).toBe(false)
+    expect(isLastSeenRefreshDue(metadata, { absolute: 0, idle: 200 }, now)).toBe(true)
+  })
+})
+
+describe('Test suite for the `readSession()` and `serializeSession()` functions:', () => {
+  const options = { secret: SESSION_COOKIE_SECRET.valid }
+
+  test('Session data serialized by `serializeSession()` can be read by `readSession()`.', async () => {
+    for (const encrypted of [false, true]) {
+      const setCookie = await serializeSession({ userId: 42 }, { ...options, encrypted })
+
+      expect(setCookie).toMatch(/^session=/)
+      expect(setCookie).toMatch('HttpOnly')
+      expect(await readSession(setCookie.split(';')[0], options)).toEqual({ data: { userId: 42 }, reason: null, error: null })
+    }
+  })
+
+  test('Cookies issued by `serializeSession()` and `withSession()` are interchangeable.', async () => {
+    const setCookie = await serializeSession({ userId: 42 }, options)
+    let userId = null
+
+    await withSession(async (event, context) => {
+      userId = getSession(context).userId
+      return { statusCode: 200 }
+    }, options)({ multiValueHeaders: { Cookie: [setCookie.split(';')[0]] } }, { clientContext: {} })
+
+    expect(userId).toBe(42)
+
+    const response = await withSession(async (event, context) => {
+      getSession(context).userId = 12
+      return { statusCode: 200 }
+    }, options)({}, { clientContext: {} })
+
+    const cookieHeader = `foo=bar; ${response.multiValueHeaders['Set-Cookie'][0].split(';')[0]}`
+    expect((await readSession(cookieHeader, options)).data).toEqual({ userId: 12 })
+  })
+
+  test('Returns `null` and the reason why if no valid session could be read.', async () => {
+    expect(await readSession(null, options)).toEqual({ data: null, reason: 'missing', error: null })
+    expect(await readSession('foo=bar', options)).toEqual({ data: null, reason: 'missing', error: null })
+    expect(await readSession('session=foo', options)).toEqual({ data: null, reason: 'invalid-signature', error: expect.any(InvalidSignatureError) })
+    expect(await readSession(`session=${'a'.repeat(SIGNATURE_DIGEST_LENGTH)}WzEsMiwzXQ==`, options)).toEqual({ data: null, reason: 'invalid-signature', error: expect.any(InvalidSignatureError) })
+    expect(await readSession('session=; session=foo', options)).toEqual({ data: null, reason: 'invalid-signature', error: expect.any(InvalidSignatureError) })
+
+    const otherKey = await serializeSession({ userId: 42 }, { secret: generateSecretKey() })
+    expect(await readSession(otherKey.split(';')[0], options)).toEqual({ data: null, reason: 'invalid-signature', error: expect.any(InvalidSignatureError) })
+
+    const twoHoursAgo = Date.now() - 7200 * 1000
+    const old = await lib.__with__({ 'Date.now': () => twoHoursAgo })(() => serializeSession({ userId: 42 }, options))
+
+    expect(await readSession(old.split(';')[0], { ...options, absoluteTimeout: 3600 })).toEqual({ data: null, reason: 'expired', error: expect.any(SessionExpiredError) })
+  })
+
+  test('Supports store mode.', async () => {
+    const store = createMemoryStore()
+    const setCookie = await serializeSession({ userId: 42 }, { ...options, store })
+    const { data } = await readSession(setCookie.split(';')[0], { ...options, store })
+
+    expect(data).toEqual({ userId: 42 })
+    expect(await readSession(setCookie.split(';')[0], { ...options, store: createMemoryStore() })).toEqual({ data: null, reason: 'not-found', error: null })
+  })
+
+  test('`serializeSession()` throws if given invalid data, or data too large for a single cookie.', async () => {
+    for (const value of [null, 'foo', 12, []]) {
+      await expect(serializeSession(value, options)).rejects.toThrow()
+    }
+
+    await expect(serializeSession({ payload: 'x'.repeat(COOKIE_MAX_SIZE) }, options)).rejects.toThrow(SessionTooLargeError)
+  })
+})
@@ -0,0 +1,273 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file csrf.js
+ * @description Opt-in CSRF protection, bound to the session. Enabled via the `csrf` option of `withSession()`.
+ *
+ * - A random secret is issued per session, the first time `getCsrfToken()` is called.
+ *   It is stored alongside session metadata (`csrf`), and not exposed by `getSession()`.
+ * - Tokens given out by `getCsrfToken()` are masked with a new random pad each time,
+ *   so they never appear twice in a response body (BREACH mitigation).
+ * - On unsafe methods, wrappers check the token sent in a header or form field before the handler runs,
+ *   and respond with a "403 Forbidden" status if it is missing or invalid.
+ *
+ * Runtime-neutral: only relies on Web APIs.
+ */
+
+//
+// Imports
+//
+const { getSession, webCrypto } = require('./core.js')
+
+//
+// Module-level constants
+//
+/**
+ * Length of the per-session CSRF secret, in bytes.
+ * @constant
+ * @private
+ */
+const CSRF_SECRET_LENGTH = 32
+
+/**
+ * HTTP methods that are never checked for a CSRF token.
+ * @constant
+ * @private
+ */
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE']
+
+//
+// Public functions
+//
+/**
+ * Returns a masked CSRF token for the current session, to be sent back by the client on unsafe requests.
+ * A CSRF secret is issued for the session if it doesn't have one yet: the session cookie is then updated.
+ *
+ * Each call returns a different token, all of them valid for the current session.
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @returns {string} - Masked CSRF token, hex-encoded.
+ * @public
+ */
+function getCsrfToken (context) {
+  getSession(context) // Throws if `context` is not suitable.
+
+  if (!context.clientContext.sessionCsrfSecret) {
+    context.clientContext.sessionCsrfSecret = encodeHex(webCrypto.getRandomValues(new Uint8Array(CSRF_SECRET_LENGTH)))
+  }
+
+  return maskCsrfSecret(context.clientContext.sessionCsrfSecret)
+}
+
+//
+// Local functions
+//
+/**
+ * Checks the CSRF token sent with a request against the secret of the current session.
+ * Requests using safe methods (see `CSRF_SAFE_METHODS`) always pass.
+ *
+ * @param {string} method - HTTP method of the request.
+ * @param {?string} token - From `getEventCsrfToken()` or `getRequestCsrfToken()`.
+ * @param {Object} context - From the function handler. Session must have been loaded.
+ * @returns {boolean}
+ * @private
+ */
+function isCsrfRequestValid (method, token, context) {
+  if (CSRF_SAFE_METHODS.includes(String(method).toUpperCase())) {
+    return true
+  }
+
+  const secret = context.clientContext.sessionCsrfSecret
+
+  if (!secret || typeof token !== 'string') {
+    return false
+  }
+
+  const unmasked = unmaskCsrfToken(token)
+
+  return unmasked !== null && timingSafeEqual(unmasked, decodeHex(secret))
+}
+
+/**
+ * Reads the CSRF token sent with a Lambda event, from a header or an url-encoded form field.
+ *
+ * @param {Object} event - From the Lambda handler function.
+ * @param {Object} csrf - From `getCsrfOptions()` (`config.js`).
+ * @returns {?string}
+ * @private
+ */
+function getEventCsrfToken (event, csrf) {
+  const headers = {}
+
+  for (const source of [event.multiValueHeaders, event.headers]) {
+    for (const [name, value] of Object.entries(source || {})) {
+      const key = name.toLowerCase()
+
+      if (headers[key] === undefined) {
+        headers[key] = [].concat(value)[0]
+      }
+    }
+  }
+
+  if (headers[csrf.headerName]) {
+    return headers[csrf.headerName]
+  }
+
+  if (isFormUrlEncoded(headers['content-type']) && typeof event.body === 'string') {
+    try {
+      const body = event.isBase64Encoded ? new TextDecoder().decode(decodeBase64(event.body)) : event.body
+      return new URLSearchParams(body).get(csrf.fieldName)
+    } catch (err) {
+      // Unreadable body: no token.
+    }
+  }
+
+  return null
+}
+
+/**
+ * Reads the CSRF token sent with a web `Request`, from a header or a form field.
+ * The request body is read from a copy of the request, so the handler can still read it.
+ *
+ * @param {Request} request - From the function handler.
+ * @param {Object} csrf - From `getCsrfOptions()` (`config.js`).
+ * @returns {Promise<?string>}
+ * @private
+ */
+async function getRequestCsrfToken (request, csrf) {
+  if (request.headers.get(csrf.headerName)) {
+    return request.headers.get(csrf.headerName)
+  }
+
+  const contentType = request.headers.get('content-type')
+
+  try {
+    if (isFormUrlEncoded(contentType)) {
+      return new URLSearchParams(await request.clone().text()).get(csrf.fieldName)
+    }
+
+    if (contentType && contentType.toLowerCase().startsWith('multipart/form-data')) {
+      const value = (await request.clone().formData()).get(csrf.fieldName)
+      return typeof value === 'string' ? value : null
+    }
+  } catch (err) {
+    // Unreadable body: no token.
+  }
+
+  return null
+}
+
+/**
+ * Masks a CSRF secret with a random pad: `[pad][pad XOR secret]`.
+ *
+ * @param {string} secret - CSRF secret, hex-encoded.
+ * @returns {string} - Masked token, hex-encoded.
+ * @private
+ */
+function maskCsrfSecret (secret) {
+  const secretBytes = decodeHex(secret)
+  const pad = webCrypto.getRandomValues(new Uint8Array(secretBytes.length))
+
+  return encodeHex(pad) + encodeHex(secretBytes.map((byte, i) => byte ^ pad[i]))
+}
+
+/**
+ * Reverts `maskCsrfSecret()`.
+ *
+ * @param {string} token - Masked token, hex-encoded.
+ * @returns {?Uint8Array} - CSRF secret, or `null` if `token` is malformed.
+ * @private
+ */
+function unmaskCsrfToken (token) {
+  const bytes = decodeHex(token)
+
+  if (bytes === null || bytes.length !== CSRF_SECRET_LENGTH * 2) {
+    return null
+  }
+
+  const pad = bytes.subarray(0, CSRF_SECRET_LENGTH)
+  const masked = bytes.subarray(CSRF_SECRET_LENGTH)
+
+  return masked.map((byte, i) => byte ^ pad[i])
+}
+
+/**
+ * Compares two byte arrays in constant time.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ * @private
+ */
+function timingSafeEqual (a, b) {
+  if (a.length !== b.length) {
+    return false
+  }
+
+  let diff = 0
+
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i]
+  }
+
+  return diff === 0
+}
+
+/**
+ * Checks if a `Content-Type` header value is `application/x-www-form-urlencoded`.
+ *
+ * @param {?string} contentType
+ * @returns {boolean}
+ * @private
+ */
+function isFormUrlEncoded (contentType) {
+  return typeof contentType === 'string' && contentType.toLowerCase().startsWith('application/x-www-form-urlencoded')
+}
+
+/**
+ * Encodes bytes into hex.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ * @private
+ */
+function encodeHex (bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Decodes hex into bytes.
+ *
+ * @param {string} hex
+ * @returns {?Uint8Array} - `null` if `hex` is not valid hex.
+ * @private
+ */
+function decodeHex (hex) {
+  if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex)) {
+    return null
+  }
+
+  return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16))
+}
+
+/**
+ * Decodes base64 into bytes.
+ *
+ * @param {string} base64
+ * @returns {Uint8Array}
+ * @private
+ */
+function decodeBase64 (base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
+
+//
+// Exports
+//
+module.exports = {
+  getCsrfToken,
+  isCsrfRequestValid,
+  getEventCsrfToken,
+  getRequestCsrfToken
+}
@@ -0,0 +1,234 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file csrf.test.js
+ */
+const rewire = require('rewire')
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { withSession, withSessionV2, getSession, destroySession } = require('./index.js')
+
+const lib = rewire('./csrf.js')
+const getCsrfToken = lib.__get__('getCsrfToken')
+const isCsrfRequestValid = lib.__get__('isCsrfRequestValid')
+const getEventCsrfToken = lib.__get__('getEventCsrfToken')
+const maskCsrfSecret = lib.__get__('maskCsrfSecret')
+const unmaskCsrfToken = lib.__get__('unmaskCsrfToken')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the `getCsrfToken()` function:', () => {
+  test('Issues a secret for the session once, and returns a differently-masked token on each call.', () => {
+    const context = { clientContext: {} }
+
+    const tokens = [getCsrfToken(context), getCsrfToken(context)]
+    const secret = context.clientContext.sessionCsrfSecret
+
+    expect(secret).toMatch(/^[0-9a-f]{64}$/)
+    expect(tokens[0]).toMatch(/^[0-9a-f]{128}$/)
+    expect(tokens[0]).not.toBe(tokens[1])
+
+    for (const token of tokens) {
+      expect(isCsrfRequestValid('POST', token, context)).toBe(true)
+    }
+
+    expect(getSession(context)).toEqual({}) // Secret is not exposed as session data.
+  })
+
+  test('Throws unless given a suitable `context` object as an argument.', () => {
+    for (const value of [{}, '', 12]) {
+      expect(() => getCsrfToken(value)).toThrow()
+    }
+  })
+})
+
+describe('Test suite for the `isCsrfRequestValid()`, `maskCsrfSecret()` and `unmaskCsrfToken()` functions:', () => {
+  const secret = 'ab'.repeat(32)
+  const context = { clientContext: { sessionCsrfSecret: secret } }
+
+  test('Masked tokens can be unmasked back to the secret.', () => {
+    expect(Buffer.from(unmaskCsrfToken(maskCsrfSecret(secret))).toString('hex')).toBe(secret)
+    expect(unmaskCsrfToken('zz')).toBe(null)
+    expect(unmaskCsrfToken('abcd')).toBe(null)
+  })
+
+  test('Safe methods always pass, unsafe methods require a valid token.', () => {
+    for (const method of ['GET', 'head', 'OPTIONS']) {
+      expect(isCsrfRequestValid(method, null, { clientContext: {} })).toBe(true)
+    }
+
+    for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+      expect(isCsrfRequestValid(method, maskCsrfSecret(secret), context)).toBe(true)
+      expect(isCsrfRequestValid(method, null, context)).toBe(false)
+      expect(isCsrfRequestValid(method, secret, context)).toBe(false) // Unmasked secret
+      expect(isCsrfRequestValid(method, maskCsrfSecret('cd'.repeat(32)), context)).toBe(false)
+      expect(isCsrfRequestValid(method, maskCsrfSecret(secret), { clientContext: {} })).toBe(false) // No secret
+    }
+  })
+
+  test('`getEventCsrfToken()` reads the token from a header or an url-encoded form field.', () => {
+    const csrf = { headerName: 'x-csrf-token', fieldName: '_csrf' }
+    const form = { 'Content-Type': 'application/x-www-form-urlencoded' }
+
+    expect(getEventCsrfToken({}, csrf)).toBe(null)
+    expect(getEventCsrfToken({ headers: { 'X-CSRF-Token': 'abc' } }, csrf)).toBe('abc')
+    expect(getEventCsrfToken({ multiValueHeaders: { 'x-csrf-token': ['abc'] } }, csrf)).toBe('abc')
+    expect(getEventCsrfToken({ headers: form, body: 'foo=bar&_csrf=abc' }, csrf)).toBe('abc')
+    expect(getEventCsrfToken({ headers: form, body: Buffer.from('_csrf=abc').toString('base64'), isBase64Encoded: true }, csrf)).toBe('abc')
+    expect(getEventCsrfToken({ headers: { 'Content-Type': 'application/json' }, body: '{"_csrf":"abc"}' }, csrf)).toBe(null)
+  })
+})
+
+describe('Test suite for CSRF protection in session wrappers:', () => {
+  test('`withSession()` refuses unsafe requests without a valid token with a 403.', async () => {
+    let handlerCalls = 0
+    let token = null
+
+    const handler = async (event, context) => {
+      handlerCalls += 1
+      token = getCsrfToken(context)
+      return { statusCode: 200 }
+    }
+
+    const wrapped = withSession(handler, { csrf: true })
+
+    // GET: token is issued, session cookie is written even though session data are empty.
+    let response = await wrapped({ httpMethod: 'GET' }, { clientContext: {} })
+    const sessionCookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+    expect(handlerCalls).toBe(1)
+
+    // POST without token, with an invalid one, or without session.
+    const cases = [
+      { httpMethod: 'POST', headers: { cookie: sessionCookie } },
+      { httpMethod: 'POST', headers: { cookie: sessionCookie, 'x-csrf-token': '12' } },
+      { httpMethod: 'POST', headers: { 'x-csrf-token': token } }
+    ]
+
+    for (const event of cases) {
+      response = await wrapped(event, { clientContext: {} })
+      expect(response).toEqual({ statusCode: 403 })
+    }
+
+    expect(handlerCalls).toBe(1)
+
+    // POST with a valid token, in a header or a form field.
+    response = await wrapped({ httpMethod: 'POST', headers: { cookie: sessionCookie, 'x-csrf-token': token } }, { clientContext: {} })
+    expect(response.statusCode).toBe(200)
+
+    response = await wrapped({
+      httpMethod: 'POST',
+      headers: { cookie: sessionCookie, 'content-type': 'application/x-www-form-urlencoded' },
+      body: `_csrf=${token}`
+    }, { clientContext: {} })
+    expect(response.statusCode).toBe(200)
+
+    // API Gateway v2 events: method is read from `requestContext`.
+    const v2Event = (method, headers) => ({ requestContext: { http: { method } }, cookies: [sessionCookie], headers })
+
+    response = await wrapped(v2Event('GET', {}), { clientContext: {} })
+    expect(response.statusCode).toBe(200)
+
+    response = await wrapped(v2Event('POST', {}), { clientContext: {} })
+    expect(response).toEqual({ statusCode: 403 })
+
+    response = await wrapped(v2Event('POST', { 'x-csrf-token': token }), { clientContext: {} })
+    expect(response.statusCode).toBe(200)
+
+    // Without the `csrf` option, requests are not checked.
+    response = await withSession(handler)({ httpMethod: 'POST' }, { clientContext: {} })
+    expect(response.statusCode).toBe(200)
+  })
+
+  test('CSRF secret is kept across requests, and removed when the session is destroyed.', async () => {
+    const options = { expiryMode: 'fixed' }
+    let secret = null
+
+    let response = await withSession(async (event, context) => {
+      getCsrfToken(context)
+      secret = context.clientContext.sessionCsrfSecret
+      return { statusCode: 200 }
+    }, options)({}, { clientContext: {} })
+
+    const sessionCookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    // Token is not re-issued: no cookie is sent back.
+    response = await withSession(async (event, context) => {
+      getCsrfToken(context)
+      expect(context.clientContext.sessionCsrfSecret).toBe(secret)
+      return { statusCode: 200 }
+    }, options)({ headers: { cookie: sessionCookie } }, { clientContext: {} })
+    expect(response).toEqual({ statusCode: 200 })
+
+    await withSession(async (event, context) => {
+      destroySession(context)
+      expect(context.clientContext.sessionCsrfSecret).toBe(undefined)
+      return { statusCode: 200 }
+    }, options)({ headers: { cookie: sessionCookie } }, { clientContext: {} })
+  })
+
+  test('`withSessionV2()` reads the token from a header or a form field, and leaves the body readable.', async () => {
+    let token = null
+    const handler = async (request, context) => {
+      if (request.method === 'GET') {
+        token = getCsrfToken(context)
+      }
+
+      return new Response(request.method === 'POST' ? await request.text() : 'OK')
+    }
+
+    const wrapped = withSessionV2(handler, { csrf: { fieldName: 'token' } })
+
+    let response = await wrapped(new Request('https://example.com'), {})
+    const cookie = response.headers.getSetCookie()[0].split(';')[0]
+
+    response = await wrapped(new Request('https://example.com', { method: 'POST', headers: { cookie } }), {})
+    expect(response.status).toBe(403)
+
+    response = await wrapped(new Request('https://example.com', {
+      method: 'POST',
+      headers: { cookie, 'content-type': 'application/x-www-form-urlencoded' },
+      body: `token=${token}`
+    }), {})
+    expect(response.status).toBe(200)
+    expect(await response.text()).toBe(`token=${token}`)
+
+    const body = new FormData()
+    body.append('token', token)
+    response = await wrapped(new Request('https://example.com', { method: 'POST', headers: { cookie }, body }), {})
+    expect(response.status).toBe(200)
+  })
+})
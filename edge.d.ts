@@ -0,0 +1,66 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file edge.d.ts
+ * @description Type definitions for `edge.js`. See `index.d.ts`.
+ */
+import { SessionContext, SessionData, SessionOptions } from './index'
+
+export {
+  SessionData,
+  SessionContext,
+  SessionOptions,
+  NamedSessionOptions,
+  SessionStore,
+  SessionCodec,
+  SessionSchemaDefinition,
+  SessionSchemaFunction,
+  SessionMigration,
+  SessionErrorCode,
+  FailurePolicy,
+  RegenerateSessionOptions,
+  ReadSessionReason,
+  ReadSessionResult,
+  FlashMessage,
+  getSession,
+  getSessionError,
+  getSessionId,
+  getCsrfToken,
+  flash,
+  getFlashes,
+  clearSession,
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
+} from './index'
+
+/**
+ * Context given to Netlify Edge Function handlers.
+ */
+export interface EdgeSessionContext<T extends object = SessionData> extends SessionContext<T> {
+  next (): Promise<Response>
+}
+
+/**
+ * Handler accepted by `withEdgeSession()`. May return nothing to let the request continue to its destination.
+ */
+export type EdgeSessionHandler<T extends object = SessionData> = (
+  request: Request,
+  context: EdgeSessionContext<T>
+) => Response | void | Promise<Response | void>
+
+/**
+ * Same as `withSessionV2()`, for Netlify Edge Functions.
+ */
+export function withEdgeSession<T extends object = SessionData> (
+  handler: EdgeSessionHandler<T>,
+  options?: SessionOptions
+): (request: Request, context: EdgeSessionContext<T>) => Promise<Response | void>
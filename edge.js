@@ -0,0 +1,152 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file edge.js
+ * @description Session cookies for Netlify Edge Functions (Deno runtime).
+ * Reads and writes the same session cookies as the Netlify Functions wrappers exported by `index.js`.
+ */
+
+//
+// Imports
+//
+const { getConfig } = require('./config.js')
+const {
+  getSession,
+  getSessionError,
+  getSessionId,
+  clearSession,
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  loadSessions,
+  saveSessions,
+  parseCookieHeaders,
+  appendSetCookieToResponse
+} = require('./core.js')
+const {
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
+} = require('./errors.js')
+const { getCsrfToken, isCsrfRequestValid, getRequestCsrfToken } = require('./csrf.js')
+const { flash, getFlashes } = require('./flash.js')
+
+//
+// Public functions
+//
+/**
+ * Binds a given Netlify Edge Function handler to the `sessionWrapperEdge()` function.
+ *
+ * Usage:
+ * `export default withEdgeSession(async function(request, context) { ... }`
+ *
+ * @param {function} handler - Netlify Edge Function handler. Can return a `Response` (or nothing), or a promise resolving to one.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {function} - Copy of the `sessionWrapperEdge` function bound to the `handler` function.
+ */
+function withEdgeSession (handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new Error(`"handler" must be a function. ${typeof handler} given.`)
+  }
+
+  return sessionWrapperEdge.bind({ handler, config: getConfig(options) })
+}
+
+//
+// Local functions
+//
+/**
+ * Wrapper around Netlify Edge Function handlers.
+ * Works like `sessionWrapperV2()` (see `index.js`), using the runtime-neutral core only.
+ *
+ * Edge Functions may return nothing to let the request continue to its destination.
+ * If the session cookie needs to be written in that case, `context.next()` is called to get a response to append it to.
+ *
+ * @param {Request} request - From the Netlify Edge Function handler.
+ * @param {Object} context - From the Netlify Edge Function handler.
+ * @this {{handler: function, config: Object}} - Edge Function handler and configuration. Bound via `withEdgeSession`.
+ * @returns {?Response} - `Response` received from `handler`, with session cookies appended.
+ * @private
+ */
+async function sessionWrapperEdge (request, context) {
+  const { handler, config } = this
+
+  let response = null
+
+  // Edge contexts don't have a `clientContext`: create one to hold session data.
+  if (!context.clientContext) {
+    context.clientContext = {}
+  }
+
+  getSession(context) // Initializes session data, if needed.
+
+  //
+  // [1] Try to validate and parse current session data from the `Cookie` header.
+  //
+  const incomingCookies = parseCookieHeaders([request.headers.get('cookie')])
+
+  const state = await loadSessions(incomingCookies, context, config, request)
+
+  if (state.rejected) {
+    return new Response(null, { status: 400 })
+  }
+
+  // CSRF protection, if enabled: unsafe requests without a valid token are refused.
+  if (config.csrf && !isCsrfRequestValid(request.method, await getRequestCsrfToken(request, config.csrf), context)) {
+    return new Response(null, { status: 403 })
+  }
+
+  //
+  // [2] Execute the function handler.
+  //
+  response = await handler(request, context)
+
+  //
+  // [3] Append session cookies to the `Response` object.
+  //
+  const outgoing = await saveSessions(state, context, config)
+
+  if (state.rejected) {
+    return new Response(null, { status: 400 })
+  }
+
+  if (outgoing.length === 0) {
+    return response
+  }
+
+  // Handler let the request through: grab the response from the next step in the chain.
+  if (!response) {
+    response = await context.next()
+  }
+
+  return appendSetCookieToResponse(response, outgoing)
+}
+
+//
+// Exports
+//
+module.exports = {
+  withEdgeSession,
+  getSession,
+  getSessionError,
+  getSessionId,
+  getCsrfToken,
+  flash,
+  getFlashes,
+  clearSession,
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
+}
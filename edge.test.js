@@ -0,0 +1,128 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file edge.test.js
+ */
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { withSession, serializeSession } = require('./index.js')
+const { withEdgeSession, getSession } = require('./edge.js')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the `withEdgeSession()` function:', () => {
+  test('Throws if `handler` is not a function.', () => {
+    for (const value of [{}, [], 'foo', null]) {
+      expect(() => withEdgeSession(value)).toThrow()
+    }
+
+    expect(() => withEdgeSession(() => true)).not.toThrow()
+  })
+
+  test('Signed cookies are identical to the ones issued by `withSession()`.', async () => {
+    const realNow = Date.now
+    Date.now = () => 1700000000000 // Freeze time, so metadata match.
+
+    // Same incoming session on both sides, so session IDs match.
+    const cookie = (await serializeSession({ userId: 1 })).split(';')[0]
+
+    const lambdaResponse = await withSession(async (event, context) => {
+      getSession(context).userId = 42
+      return { statusCode: 200 }
+    })({ headers: { cookie } }, { clientContext: {} })
+
+    const edgeResponse = await withEdgeSession(async (request, context) => {
+      getSession(context).userId = 42
+      return new Response('OK')
+    })(new Request('https://example.com', { headers: { cookie } }), {})
+
+    Date.now = realNow
+
+    expect(edgeResponse.headers.getSetCookie()).toEqual(lambdaResponse.multiValueHeaders['Set-Cookie'])
+  })
+
+  test('Reads sessions issued by `withSession()`.', async () => {
+    const lambdaResponse = await withSession(async (event, context) => {
+      getSession(context).userId = 42
+      return { statusCode: 200 }
+    })({}, { clientContext: {} })
+
+    let userId = null
+    const request = new Request('https://example.com', {
+      headers: { Cookie: lambdaResponse.multiValueHeaders['Set-Cookie'][0].split(';')[0] }
+    })
+
+    await withEdgeSession(async (request, context) => {
+      userId = getSession(context).userId
+    })(request, { next: async () => new Response('OK') })
+
+    expect(userId).toBe(42)
+  })
+
+  test('Calls `context.next()` to append session cookies if the handler returns nothing.', async () => {
+    let nextCalls = 0
+    const context = {
+      next: async () => {
+        nextCalls += 1
+        return new Response('From origin')
+      }
+    }
+
+    // Anonymous visitor, nothing to write: `undefined` is passed through.
+    let response = await withEdgeSession(async () => {})(new Request('https://example.com'), context)
+    expect(response).toBe(undefined)
+    expect(nextCalls).toBe(0)
+
+    // Session was edited: cookie is appended to the response from `context.next()`.
+    response = await withEdgeSession(async (request, context) => {
+      getSession(context).visited = true
+    })(new Request('https://example.com'), context)
+
+    expect(nextCalls).toBe(1)
+    expect(await response.text()).toBe('From origin')
+    expect(response.headers.getSetCookie()[0]).toMatch('session=')
+  })
+
+  test('Accepts handlers that are not async.', async () => {
+    const response = await withEdgeSession((request, context) => {
+      getSession(context).visited = true
+      return new Response('OK')
+    })(new Request('https://example.com'), {})
+
+    expect(response.headers.getSetCookie()[0]).toMatch('session=')
+  })
+})
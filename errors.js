@@ -0,0 +1,90 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file errors.js
+ * @description Error classes describing why a session could not be read or written.
+ * See the `failurePolicy` option of `withSession()` for how each case is handled.
+ */
+
+//
+// Classes
+//
+/**
+ * Base class for all session errors.
+ * `code` identifies the case, and is used as a key in the `failurePolicy` option of `withSession()`.
+ * @public
+ */
+class SessionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code
+   */
+  constructor (message, code) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+/**
+ * Incoming session cookie was not signed (or encrypted) with any of the known secret keys, or was altered.
+ * @public
+ */
+class InvalidSignatureError extends SessionError {
+  constructor (message = 'Session cookie could not be verified with any of the secret keys.') {
+    super(message, 'invalid-signature')
+  }
+}
+
+/**
+ * Incoming session cookie is not valid base64, or does not hold a JSON object.
+ * @public
+ */
+class MalformedPayloadError extends SessionError {
+  constructor (message = 'Session cookie does not hold a valid payload.') {
+    super(message, 'malformed-payload')
+  }
+}
+
+/**
+ * Incoming session went past its absolute or idle timeout.
+ * @public
+ */
+class SessionExpiredError extends SessionError {
+  constructor (message = 'Session went past its absolute or idle timeout.') {
+    super(message, 'expired')
+  }
+}
+
+/**
+ * Outgoing session would not fit within the maximum number of cookies.
+ * @public
+ */
+class SessionTooLargeError extends SessionError {
+  constructor (message = 'Session cookie is too large.') {
+    super(message, 'too-large')
+  }
+}
+
+/**
+ * Session data do not match the schema given to `withSession()`, or could not be migrated to its current version.
+ * @public
+ */
+class SessionValidationError extends SessionError {
+  constructor (message = 'Session data do not match the schema.') {
+    super(message, 'invalid-schema')
+  }
+}
+
+//
+// Exports
+//
+module.exports = {
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
+}
@@ -0,0 +1,117 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file flash.js
+ * @description Flash messages: messages stored in the session, and removed from it once read.
+ *
+ * - Messages are stored in session data, under `SESSION_FLASHES_KEY`, as `[category, message]` pairs.
+ * - `getFlashes()` removes the messages it returns from the session:
+ *   the session cookie is then updated by the wrapper, so they are gone on the next request.
+ *
+ * Inspired by Flask's message flashing.
+ */
+
+//
+// Imports
+//
+const { getSession } = require('./core.js')
+
+//
+// Module-level constants
+//
+/**
+ * Reserved session key under which flash messages are stored.
+ * @constant
+ * @private
+ */
+const SESSION_FLASHES_KEY = '__session_flashes'
+
+//
+// Public functions
+//
+/**
+ * Adds a flash message to the session, to be read (once) by `getFlashes()`.
+ *
+ * Usage:
+ * `flash(context, 'success', 'Your profile was updated.')`
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {string} category - Category of the message (i.e: "error", "info").
+ * @param {*} message - Message to store. Must be JSON-serializable.
+ * @public
+ */
+function flash (context, category, message) {
+  const session = getSession(context)
+
+  if (typeof category !== 'string' || !category) {
+    throw new Error('`flash()` requires a non-empty string as a category.')
+  }
+
+  if (message === undefined) {
+    throw new Error('`flash()` requires a message.')
+  }
+
+  session[SESSION_FLASHES_KEY] = [...getStoredFlashes(session), [category, message]]
+}
+
+/**
+ * Returns flash messages from the session, in the order they were added, and removes them from it.
+ * If `category` is given, only messages of that category are returned (and removed).
+ *
+ * @param {Object} context - From the Lambda handler function.
+ * @param {string} [category] - Only return messages of that category.
+ * @returns {{category: string, message: *}[]}
+ * @public
+ */
+function getFlashes (context, category) {
+  const session = getSession(context)
+  const flashes = getStoredFlashes(session)
+
+  const read = []
+  const kept = []
+
+  for (const entry of flashes) {
+    if (category === undefined || entry[0] === category) {
+      read.push({ category: entry[0], message: entry[1] })
+    } else {
+      kept.push(entry)
+    }
+  }
+
+  if (kept.length > 0) {
+    session[SESSION_FLASHES_KEY] = kept
+  } else {
+    delete session[SESSION_FLASHES_KEY]
+  }
+
+  return read
+}
+
+//
+// Local functions
+//
+/**
+ * Returns the flash messages stored in a session object, ignoring entries that don't have the expected shape.
+ *
+ * @param {Object} session - Session data.
+ * @returns {Array[]} - `[category, message]` pairs.
+ * @private
+ */
+function getStoredFlashes (session) {
+  const flashes = session[SESSION_FLASHES_KEY]
+
+  if (!Array.isArray(flashes)) {
+    return []
+  }
+
+  return flashes.filter(entry => Array.isArray(entry) && typeof entry[0] === 'string')
+}
+
+//
+// Exports
+//
+module.exports = {
+  flash,
+  getFlashes
+}
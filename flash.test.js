@@ -0,0 +1,114 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file flash.test.js
+ */
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { withSession, getSession, flash, getFlashes } = require('./index.js')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the `flash()` and `getFlashes()` functions:', () => {
+  test('Messages are returned in order, once.', () => {
+    const context = { clientContext: {} }
+
+    flash(context, 'info', 'Hello')
+    flash(context, 'error', { field: 'email' })
+    flash(context, 'info', 'World')
+
+    expect(getFlashes(context)).toEqual([
+      { category: 'info', message: 'Hello' },
+      { category: 'error', message: { field: 'email' } },
+      { category: 'info', message: 'World' }
+    ])
+
+    expect(getFlashes(context)).toEqual([])
+    expect(getSession(context)).toEqual({})
+  })
+
+  test('Messages can be read by category, leaving the others in the session.', () => {
+    const context = { clientContext: {} }
+
+    flash(context, 'info', 'Hello')
+    flash(context, 'error', 'Oops')
+
+    expect(getFlashes(context, 'error')).toEqual([{ category: 'error', message: 'Oops' }])
+    expect(getFlashes(context, 'error')).toEqual([])
+    expect(getFlashes(context)).toEqual([{ category: 'info', message: 'Hello' }])
+  })
+
+  test('Throws if given an invalid context, category or message.', () => {
+    expect(() => flash({}, 'info', 'Hello')).toThrow()
+    expect(() => getFlashes({})).toThrow()
+
+    for (const category of ['', null, 12, undefined]) {
+      expect(() => flash({ clientContext: {} }, category, 'Hello')).toThrow()
+    }
+
+    expect(() => flash({ clientContext: {} }, 'info')).toThrow()
+  })
+})
+
+describe('Test suite for flash messages in session wrappers:', () => {
+  test('Flashed messages are available on the next request only.', async () => {
+    const options = { expiryMode: 'fixed' }
+    let read = null
+
+    const setHandler = withSession(async (event, context) => {
+      flash(context, 'success', 'Saved')
+      return { statusCode: 302 }
+    }, options)
+
+    const readHandler = withSession(async (event, context) => {
+      read = getFlashes(context)
+      return { statusCode: 200 }
+    }, options)
+
+    let response = await setHandler({}, { clientContext: {} })
+    const cookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    // Messages are consumed: an updated cookie is sent.
+    response = await readHandler({ headers: { cookie } }, { clientContext: {} })
+    expect(read).toEqual([{ category: 'success', message: 'Saved' }])
+    const nextCookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    response = await readHandler({ headers: { cookie: nextCookie } }, { clientContext: {} })
+    expect(read).toEqual([])
+    expect(response).toEqual({ statusCode: 200 })
+  })
+})
@@ -0,0 +1,378 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file index.d.ts
+ * @description Type definitions for `index.js`. Shared types are also used by `edge.d.ts` and `testing.d.ts`.
+ *
+ * Session data can be typed end to end: the type given to `withSession<T>()` (or inferred from the handler's `context`)
+ * is carried by `SessionContext<T>`, from which `getSession()` infers it.
+ */
+
+//
+// Session data and context
+//
+/**
+ * Default shape of session data.
+ */
+export type SessionData = Record<string, any>
+
+/**
+ * Carries the type of session data on `SessionContext`. Type-level only: not exported (see `export {}` below).
+ */
+declare const sessionDataType: unique symbol
+
+/**
+ * Function context, as given to wrapped handlers. Session state is held by `clientContext`.
+ */
+export interface SessionContext<T extends object = SessionData> {
+  clientContext?: Record<string, any>
+  readonly [sessionDataType]?: T
+  [key: string]: any
+}
+
+/**
+ * Lambda event, as given to handlers wrapped with `withSession()`.
+ */
+export interface HandlerEvent {
+  httpMethod?: string
+  path?: string
+  headers?: Record<string, string | undefined>
+  multiValueHeaders?: Record<string, string[] | undefined>
+  cookies?: string[]
+  body?: string | null
+  isBase64Encoded?: boolean
+  [key: string]: any
+}
+
+/**
+ * Lambda response, as returned by handlers wrapped with `withSession()`.
+ */
+export interface HandlerResponse {
+  statusCode: number
+  headers?: Record<string, boolean | number | string>
+  multiValueHeaders?: Record<string, Array<boolean | number | string>>
+  /** Forwarded by Netlify's `stream()`. Session cookies are added to it for streaming responses. */
+  cookies?: string[]
+  body?: any
+  isBase64Encoded?: boolean
+  [key: string]: any
+}
+
+/**
+ * Callback given to callback-style Lambda handlers.
+ */
+export type HandlerCallback = (error?: Error | string | null, response?: HandlerResponse) => void
+
+/**
+ * Handler accepted by `withSession()`: async, returning a response (or a promise), or callback-style.
+ */
+export type SessionHandler<T extends object = SessionData> = (
+  event: HandlerEvent,
+  context: SessionContext<T>,
+  callback: HandlerCallback
+) => void | HandlerResponse | Promise<HandlerResponse>
+
+/**
+ * Handler accepted by `withSessionV2()`.
+ */
+export type SessionHandlerV2<T extends object = SessionData> = (
+  request: Request,
+  context: SessionContext<T>
+) => Response | Promise<Response>
+
+//
+// Options
+//
+/**
+ * Cases handled by `options.failurePolicy`. Also the `code` of the matching error class.
+ */
+export type SessionErrorCode = 'invalid-signature' | 'malformed-payload' | 'expired' | 'too-large' | 'invalid-schema'
+
+/**
+ * How a failure case is handled. See "Handling invalid sessions" in the README.
+ */
+export type FailurePolicy = 'reset' | 'reject' | 'throw'
+
+/**
+ * Server-side session store. See `createMemoryStore()`.
+ */
+export interface SessionStore {
+  get (id: string): Promise<SessionData | null>
+  set (id: string, data: SessionData, ttl: number): Promise<void>
+  destroy (id: string): Promise<void>
+  touch (id: string, ttl: number): Promise<void>
+}
+
+/**
+ * Custom codec, for `options.codec`.
+ */
+export interface SessionCodec {
+  /** Stored in the cookie. Lowercase letters, digits and dashes only. */
+  name: string
+  encode (data: SessionData): string
+  decode (value: string): SessionData
+}
+
+/**
+ * JSON-Schema-like definition, for `options.schema`.
+ */
+export interface SessionSchemaDefinition {
+  type?: SessionSchemaType | SessionSchemaType[]
+  properties?: Record<string, SessionSchemaDefinition>
+  required?: string[]
+  additionalProperties?: boolean | SessionSchemaDefinition
+  items?: SessionSchemaDefinition
+  enum?: any[]
+  minimum?: number
+  maximum?: number
+  minLength?: number
+  maxLength?: number
+}
+
+/**
+ * Types that can be used with the `type` keyword of schema definitions.
+ */
+export type SessionSchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null'
+
+/**
+ * Schema function, for `options.schema`: returns `false` (or throws) if session data are not valid.
+ */
+export type SessionSchemaFunction = (data: SessionData) => boolean | void
+
+/**
+ * Migration, for `options.migrations`: upgrades session data from one version to the next, by returning them or editing them in place.
+ */
+export type SessionMigration = (data: SessionData) => SessionData | void
+
+/**
+ * Details given to every lifecycle hook.
+ */
+export interface SessionHookDetails {
+  /** Lambda event, or `Request` for v2 and Edge handlers. */
+  event: HandlerEvent | Request
+  context: SessionContext<any>
+  /** Name of the session, `null` for the default session. */
+  name: string | null
+}
+
+/**
+ * Lifecycle hook. Can be async.
+ */
+export type SessionHook<D> = (details: SessionHookDetails & D) => void | Promise<void>
+
+/**
+ * Options accepted by `withSession()`, `withSessionV2()`, `withEdgeSession()`, `readSession()` and `serializeSession()`.
+ * Take precedence over environment variables. See "Environment variables and options" in the README.
+ */
+export interface SessionOptions {
+  name?: string
+  secret?: string | string[]
+  httpOnly?: boolean
+  secure?: boolean
+  sameSite?: 'Strict' | 'Lax' | 'None' | 'strict' | 'lax' | 'none'
+  maxAge?: number
+  domain?: string
+  path?: string
+  encrypted?: boolean
+  absoluteTimeout?: number
+  idleTimeout?: number
+  expiryMode?: 'rolling' | 'fixed'
+  rollingThreshold?: number
+  store?: SessionStore
+  failurePolicy?: FailurePolicy | Partial<Record<SessionErrorCode, FailurePolicy>>
+  csrf?: boolean | { headerName?: string, fieldName?: string }
+  onLoad?: SessionHook<{ session: SessionData, keyIndex: number, cookieSize: number }>
+  onInvalid?: SessionHook<{ error: SessionError }>
+  onBeforeSave?: SessionHook<{ session: SessionData }>
+  onSave?: SessionHook<{ session: SessionData, cookies: string[], cookieSize: number, destroyed: boolean }>
+  sessions?: Record<string, NamedSessionOptions>
+  codec?: 'json' | 'rich' | SessionCodec
+  compression?: 'none' | 'deflate' | 'brotli'
+  schema?: SessionSchemaFunction | SessionSchemaDefinition
+  migrations?: SessionMigration[]
+}
+
+/**
+ * Options of a named session, given via `options.sessions`. See "Named sessions" in the README.
+ */
+export type NamedSessionOptions = Omit<SessionOptions, 'csrf' | 'sessions'>
+
+/**
+ * Options accepted by `regenerateSession()`.
+ */
+export interface RegenerateSessionOptions {
+  /** Set to `false` to start from an empty session. */
+  keepData?: boolean
+  name?: string | null
+}
+
+/**
+ * Why `readSession()` could not read a session.
+ */
+export type ReadSessionReason = 'missing' | 'invalid-signature' | 'malformed-payload' | 'expired' | 'invalid-schema' | 'not-found'
+
+/**
+ * Result of `readSession()`.
+ */
+export interface ReadSessionResult<T extends object = SessionData> {
+  data: T | null
+  reason: ReadSessionReason | null
+  error: SessionError | null
+}
+
+/**
+ * Flash message, as returned by `getFlashes()`.
+ */
+export interface FlashMessage<M = any> {
+  category: string
+  message: M
+}
+
+//
+// Functions
+//
+/**
+ * Wraps a Lambda handler, managing the session cookie in and out.
+ */
+export function withSession<T extends object = SessionData> (
+  handler: SessionHandler<T>,
+  options?: SessionOptions
+): (event: HandlerEvent, context: SessionContext<T>) => Promise<HandlerResponse>
+
+/**
+ * Same as `withSession()`, for Netlify Functions v2 handlers (`Request` in, `Response` out).
+ */
+export function withSessionV2<T extends object = SessionData> (
+  handler: SessionHandlerV2<T>,
+  options?: SessionOptions
+): (request: Request, context: SessionContext<T>) => Promise<Response>
+
+/**
+ * Returns the session data object, which can be read and edited.
+ * Named sessions: the type of their data is given explicitly (`getSession<Cart>(context, 'cart')`).
+ */
+export function getSession<T extends object = SessionData> (context: SessionContext<T>, name?: null): Partial<T>
+export function getSession<T extends object = SessionData> (context: SessionContext<any>, name: string | null): Partial<T>
+
+/**
+ * Returns the error that caused the incoming session to be dropped, if any.
+ */
+export function getSessionError (context: SessionContext<any>, name?: string | null): SessionError | null
+
+/**
+ * Returns the ID of the session, or `null` if it was destroyed.
+ */
+export function getSessionId (context: SessionContext<any>, name?: string | null): string | null
+
+/**
+ * Returns a masked CSRF token for the current session.
+ */
+export function getCsrfToken (context: SessionContext<any>): string
+
+/**
+ * Adds a flash message to the session.
+ */
+export function flash (context: SessionContext<any>, category: string, message: unknown): void
+
+/**
+ * Returns flash messages, and removes them from the session.
+ */
+export function getFlashes<M = any> (context: SessionContext<any>, category?: string): Array<FlashMessage<M>>
+
+/**
+ * Empties the session.
+ */
+export function clearSession (context: SessionContext<any>, name?: string | null): void
+
+/**
+ * Empties the session, and expires its cookie.
+ */
+export function destroySession (context: SessionContext<any>, name?: string | null): void
+
+/**
+ * Issues a new session ID, and returns it.
+ */
+export function regenerateSession (context: SessionContext<any>, options?: RegenerateSessionOptions): string
+
+/**
+ * Reads and verifies session data from a raw `Cookie` header, outside of a session wrapper.
+ */
+export function readSession<T extends object = SessionData> (
+  cookieHeader: string | string[] | null | undefined,
+  options?: SessionOptions
+): Promise<ReadSessionResult<T>>
+
+/**
+ * Signs (or encrypts) session data, and returns a `Set-Cookie` value.
+ */
+export function serializeSession<T extends object = SessionData> (data: T, options?: SessionOptions): Promise<string>
+
+/**
+ * Generates a 32-byte-long random key, encoded in base64.
+ */
+export function generateSecretKey (): string
+
+/**
+ * Creates an in-memory session store.
+ */
+export function createMemoryStore (): SessionStore
+
+/**
+ * Creates a session store saving sessions as JSON files.
+ */
+export function createFileSystemStore (options?: { directory?: string }): SessionStore
+
+//
+// Errors
+//
+/**
+ * Base class for all session errors.
+ */
+export class SessionError extends Error {
+  constructor (message: string, code: SessionErrorCode)
+  code: SessionErrorCode
+}
+
+/**
+ * Incoming session cookie could not be verified, or was altered.
+ */
+export class InvalidSignatureError extends SessionError {
+  constructor (message?: string)
+  code: 'invalid-signature'
+}
+
+/**
+ * Incoming session cookie does not hold a valid payload.
+ */
+export class MalformedPayloadError extends SessionError {
+  constructor (message?: string)
+  code: 'malformed-payload'
+}
+
+/**
+ * Incoming session went past its absolute or idle timeout, or its expiry.
+ */
+export class SessionExpiredError extends SessionError {
+  constructor (message?: string)
+  code: 'expired'
+}
+
+/**
+ * Outgoing session would not fit within the maximum number of cookies.
+ */
+export class SessionTooLargeError extends SessionError {
+  constructor (message?: string)
+  code: 'too-large'
+}
+
+/**
+ * Session data do not match the schema, or could not be migrated.
+ */
+export class SessionValidationError extends SessionError {
+  constructor (message?: string)
+  code: 'invalid-schema'
+}
+
+// Only explicitly exported declarations are part of the module.
+export {}
@@ -10,34 +10,32 @@
 // Imports
 //
 const crypto = require('crypto')
-const cookie = require('cookie')
-const Keygrip = require('keygrip')
-
-//
-// Module-level constants
-//
-/**
- * Name to be used for the session cookie if none provided.
- * @constant
- * @private
- */
-const SESSION_COOKIE_NAME_DEFAULT = 'session'
-
-/**
- * Value to be used as a default for the "Max-Age" attribute of the session cookie.
- * @constant
- * @private
- */
-const SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT = (60 * 60 * 24 * 7)
-
-/**
- * Length of the signature digest, in characters.
- * Used to separate signature from data in the raw session cookie.
- *
- * @constant
- * @private
- */
-const SIGNATURE_DIGEST_LENGTH = 43
+const { getConfig } = require('./config.js')
+const {
+  getSession,
+  getSessionError,
+  getSessionId,
+  clearSession,
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  loadSessions,
+  saveSessions,
+  parseCookieHeaders,
+  appendSetCookieToResponse
+} = require('./core.js')
+const {
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
+} = require('./errors.js')
+const { getCsrfToken, isCsrfRequestValid, getRequestCsrfToken, getEventCsrfToken } = require('./csrf.js')
+const { flash, getFlashes } = require('./flash.js')
+const { createMemoryStore, createFileSystemStore } = require('./stores.js')
 
 //
 // Public functions
@@ -46,54 +44,42 @@ const SIGNATURE_DIGEST_LENGTH = 43
  * Binds a given lambda function handler to the `sessionWrapper()` function.
  *
  * Usage:
- * `exports.handler = withSession(async function(event, context, session) { ... }`
+ * `exports.handler = withSession(async function(event, context) { ... }`
+ *
+ * Handlers can be async, return a value or a promise, or use a callback (`(event, context, callback)`). See `runHandler()`.
+ *
+ * Options are validated once, when the handler is wrapped. Environment variables are used as a fallback.
+ * See `getConfig()` for the list of options available.
  *
- * @param {function} handler - Lambda function handler. Must be async.
+ * @param {function} handler - Lambda function handler.
+ * @param {Object} [options] - Session cookie configuration.
  * @returns {function} - Copy of the `sessionWrapper` function bound to the `handler` function.
  */
-function withSession (handler) {
-  if (handler.constructor.name !== 'AsyncFunction') {
-    throw new Error(`"handler" must be an async function. ${handler.constructor.name} given.`)
+function withSession (handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new Error(`"handler" must be a function. ${typeof handler} given.`)
   }
 
-  return sessionWrapper.bind(handler)
+  return sessionWrapper.bind({ handler, config: getConfig(options) })
 }
 
 /**
- * Returns a reference to the `context.clientContext.sessionCookieData` object.
- * This object contains data for the current session, which can be read and edited.
+ * Binds a given Netlify Functions v2 handler (`Request` in, `Response` out) to the `sessionWrapperV2()` function.
+ * Sessions are fully compatible with the ones managed by `withSession()`.
  *
- * @param {Object} context - From the Lambda handler function.
- * @returns {Object} - Reference to the session data object.
- */
-function getSession (context) {
-  if (!context || !('clientContext' in context)) {
-    throw new Error('`getSession()` requires a valid Lambda `context` object as an argument.')
-  }
-
-  let session = context.clientContext.sessionCookieData
-
-  // Initialize `sessionCookieData` if it doesn't exist.
-  if (session === undefined || session === null) {
-    context.clientContext.sessionCookieData = {}
-    session = context.clientContext.sessionCookieData
-  }
-
-  return session
-}
-
-/**
- * Utility to help clear out a session object in place.
+ * Usage:
+ * `export default withSessionV2(async function(request, context) { ... }`
  *
- * @param {Object} context - From the Lambda handler function.
- * @public
+ * @param {function} handler - Netlify Functions v2 handler. Can return a `Response`, or a promise resolving to one.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {function} - Copy of the `sessionWrapperV2` function bound to the `handler` function.
  */
-function clearSession (context) {
-  const session = getSession(context)
-
-  for (const key in session) {
-    delete session[key]
+function withSessionV2 (handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new Error(`"handler" must be a function. ${typeof handler} given.`)
   }
+
+  return sessionWrapperV2.bind({ handler, config: getConfig(options) })
 }
 
 /**
@@ -115,235 +101,289 @@ function generateSecretKey () {
  * Main wrapper around the lambda handler function.
  * Automatically manages a cryptographically-signed session cookie, in an out.
  * Gives access to a `session` object, which can be used to access and edit session data.
+ * Cookies are read and written by `loadSessions()` and `saveSessions()`, see `core.js`.
+ * Named sessions (see the `sessions` option) are each read from and written to their own cookie, alongside the default session.
  *
- * Cookie data format:
+ * Cookie data format (signed, default):
  * - Part 1: HMAC SHA256 digest of JSON string, base64.
  * - Part 2: JSON string that was signed, base64.
  * - See `SIGNATURE_DIGEST_LENGTH` to determine split between the two parts.
  *
+ * Cookie data format (encrypted, if `env.SESSION_COOKIE_ENCRYPTED` is "1"):
+ * - Part 1: `ENCRYPTED_COOKIE_PREFIX`.
+ * - Part 2: IV, authentication tag and AES-256-GCM-encrypted JSON string, base64.
+ *
+ * Both formats are always accepted on the way in, which allows for switching from one to the other.
+ *
+ * The JSON string is the default payload. Using another codec or compression (`options.codec`, `options.compression`)
+ * switches to a versioned payload, which describes how it was encoded. Both are always accepted on the way in: see `codec.js`.
+ *
+ * Session cookies that would go past `COOKIE_MAX_SIZE` are split across numbered cookies (`session.0`, `session.1` ...),
+ * which are put back together on the way in. See `serializeSessionCookies()`.
+ *
+ * Store mode (if `options.store` was given to `withSession()`):
+ * - The cookie only holds session metadata, including a random session ID (`sid`).
+ * - Session data are loaded from and saved to the store, using that ID.
+ *
+ * Session metadata are stored alongside session data, under `SESSION_METADATA_KEY`:
+ * - `iat`: Timestamp at which the session was first issued, in seconds.
+ * - `lst`: Timestamp at which the session was last seen, in seconds.
+ * - `exp`: Timestamp at which the cookie expires, in seconds.
+ * - `sid`: Session ID. See `getSessionId()` and `regenerateSession()`. Also used as a key in store mode.
+ * - `csrf`: CSRF secret, if a CSRF token was issued. See `csrf.js`.
+ * These are used to enforce absolute and idle timeouts (see `getSessionTimeouts()`) and expiry modes (see `getExpiryMode()`).
+ *
+ * The `Set-Cookie` header is only added to the response when:
+ * - Session data were changed by the handler (detected by comparing snapshots of the session before and after);
+ * - The cookie's expiry needs to be refreshed, as per expiry mode;
+ * - The "last seen" timestamp needs to be refreshed, for idle timeout to be enforced;
+ * - The cookie was signed with a previous key and needs to be re-signed;
+ * - The cookie was signed but encryption is enabled (or the other way around), and needs to be re-issued in the configured format.
+ * Anonymous visitors with an empty session never get a cookie.
+ * If the session was destroyed via `destroySession()`, an expiring cookie is sent instead.
+ *
  * @param {Object} event - From the Lambda handler function.
  * @param {Object} context - From the Lambda handler function.
- * @this {function} - Lambda function handler. Bound via `withSession`.
+ * @this {{handler: function, config: Object}} - Lambda function handler and configuration. Bound via `withSession`.
  * @returns {Object} - Altered `response` received from `handler`.
  * @private
  */
 async function sessionWrapper (event, context) {
-  const cookieName = getCookieName()
-  const secretKey = new Keygrip([getSecretKey()], 'sha256', 'base64')
+  const { handler, config } = this
 
-  let incomingCookies = null
   let response = null
 
-  const session = getSession(context) // Holds the current state of session data.
+  getSession(context) // Initializes session data, if needed.
 
   //
-  // [1] Try to validate and parse current session data from the `Cookie` header.
+  // [1] Try to validate and parse current session data from the `Cookie` header(s).
   //
+  const incomingCookies = parseCookieHeaders(getEventCookieHeaders(event))
 
-  // Grab cookies from header
-  if (event.multiValueHeaders && event.multiValueHeaders.Cookie) {
-    incomingCookies = event.multiValueHeaders.Cookie
-  }
-  if (event.multiValueHeaders && event.multiValueHeaders.cookie) {
-    incomingCookies = event.multiValueHeaders.cookie
-  }
+  const state = await loadSessions(incomingCookies, context, config, event)
 
-  // Parse cookies, if any
-  if (incomingCookies) {
-    incomingCookies = cookie.parse(incomingCookies[0])
+  if (state.rejected) {
+    return { statusCode: 400 }
   }
 
-  // Grab, validate and parse session data from cookie
-  if (incomingCookies && incomingCookies[cookieName]) {
-    // Signature: first X characters (`SIGNATURE_DIGEST_LENGTH`), stays in base64.
-    // Note: Only works because we know that all characters used for signatures are 1 byte long.
-    const signature = incomingCookies[cookieName].substring(0, SIGNATURE_DIGEST_LENGTH)
-
-    // Data: everything after the signature. Needs to be decoded from base64, parsed from JSON.
-    let data = incomingCookies[cookieName].substring(SIGNATURE_DIGEST_LENGTH)
-    data = Buffer.from(data, 'base64').toString('utf-8')
-
-    // If signature matches, parse data from JSON and put into the `clientContext.session` object.
-    if (secretKey.verify(data, signature)) {
-      data = JSON.parse(data)
-      for (const [key, value] of Object.entries(data)) { // Update in place to preserve `session` ref.
-        session[key] = value
-      }
-    }
+  // CSRF protection, if enabled: unsafe requests without a valid token are refused.
+  if (config.csrf && !isCsrfRequestValid(getEventMethod(event), getEventCsrfToken(event, config.csrf), context)) {
+    return { statusCode: 403 }
   }
 
   //
   // [2] Execute the function handler.
   //
-  response = await this(event, context)
+  response = await runHandler(handler, event, context)
   // `context` contains parsed session data that can be read and edited directly from the handler.
+  // Streaming responses (i.e: Netlify's `stream()`) are returned before their body is read: session cookies are added
+  // right away, which means that changes made to the session while the body is streamed are not saved.
 
   //
   // [3] Process response out of the handler to automatically append session data as a signed cookie.
   //
+  const outgoing = await saveSessions(state, context, config)
 
-  // Create `Set-Cookie` entry in `response.multiValueHeaders` if not set.
-  if (!response.multiValueHeaders) {
-    response.multiValueHeaders = {}
+  if (state.rejected) {
+    return { statusCode: 400 }
   }
 
-  if (!response.multiValueHeaders['Set-Cookie']) {
-    response.multiValueHeaders['Set-Cookie'] = []
+  // Handlers may not return a response (i.e: `callback(null)`): there is nothing to add session cookies to.
+  if (!response || typeof response !== 'object') {
+    return response
   }
 
-  // Merge any value that may be in `headers['Set-Cookie']` to `response.multiValueHeaders['Set-Cookie']`.
-  if (response.headers && response.headers['Set-Cookie']) {
-    response.multiValueHeaders['Set-Cookie'].push(response.headers['Set-Cookie'])
-    delete response.headers['Set-Cookie']
+  for (const value of outgoing) {
+    appendSetCookie(response, value)
   }
 
-  // Sign session data and add it to `Set-Cookie`.
-  const sessionAsJSON = JSON.stringify(session)
-  const cookieValue = secretKey.sign(sessionAsJSON) + Buffer.from(sessionAsJSON).toString('base64') // session=[signature][data]
-
-  response.multiValueHeaders['Set-Cookie'].push(
-    cookie.serialize(cookieName, cookieValue, getCookieOptions())
-  )
-
   return response
 }
 
 /**
- * Returns the name to be used for the session cookie.
+ * Wrapper around Netlify Functions v2 handlers (`Request` in, `Response` out).
+ * Works like `sessionWrapper()` and shares the same cookie format, so both styles can read each other's sessions.
  *
- * Defaults to the value of `SESSION_COOKIE_NAME_DEFAULT`.
- * Can be overridden via `env.SESSION_COOKIE_NAME`.
- * Will throw if `SESSION_COOKIE_NAME` is set but contains anything else than ASCII characters (excluding whitespace).
+ * - Cookies are read from `request.headers`.
+ * - The session is exposed through the v2 `context` object: `getSession(context)` works the same way.
+ * - Session cookies are appended to the headers of the returned `Response`.
  *
- * @returns {string} - Name used for the session cookie
+ * @param {Request} request - From the Netlify Functions v2 handler.
+ * @param {Object} context - From the Netlify Functions v2 handler.
+ * @this {{handler: function, config: Object}} - Function handler and configuration. Bound via `withSessionV2`.
+ * @returns {Response} - `Response` received from `handler`, with session cookies appended.
  * @private
  */
-function getCookieName () {
-  let name = SESSION_COOKIE_NAME_DEFAULT
-  const nameFromEnv = process.env.SESSION_COOKIE_NAME
+async function sessionWrapperV2 (request, context) {
+  const { handler, config } = this
 
-  // Try to grab session cookie name from `SESSION_COOKIE_NAME` if available.
-  if (typeof nameFromEnv === 'string') {
-    const regex = /[A-Za-z0-9\!\#\$\%\&\'\*\+\-\.\^\_\`\|\~]+/g // eslint-disable-line
-    const check = nameFromEnv.match(regex)
+  let response = null
 
-    if (nameFromEnv.length < 1) {
-      throw new Error('"SESSION_COOKIE_NAME" cannot be an empty string.')
-    }
+  // v2 contexts don't have a `clientContext`: create one to hold session data.
+  if (!context.clientContext) {
+    context.clientContext = {}
+  }
 
-    if (check instanceof Array !== true || check[0] !== nameFromEnv) {
-      throw new Error('"SESSION_COOKIE_NAME" must only contain ASCII characters and no whitespace.')
-    }
+  getSession(context) // Initializes session data, if needed.
 
-    name = nameFromEnv
+  //
+  // [1] Try to validate and parse current session data from the `Cookie` header.
+  //
+  const incomingCookies = parseCookieHeaders([request.headers.get('cookie')])
+
+  const state = await loadSessions(incomingCookies, context, config, request)
+
+  if (state.rejected) {
+    return new Response(null, { status: 400 })
+  }
+
+  // CSRF protection, if enabled: unsafe requests without a valid token are refused.
+  if (config.csrf && !isCsrfRequestValid(request.method, await getRequestCsrfToken(request, config.csrf), context)) {
+    return new Response(null, { status: 403 })
+  }
+
+  //
+  // [2] Execute the function handler.
+  //
+  response = await handler(request, context)
+
+  //
+  // [3] Append session cookies to the `Response` object.
+  //
+  const outgoing = await saveSessions(state, context, config)
+
+  if (state.rejected) {
+    return new Response(null, { status: 400 })
   }
 
-  return name
+  return appendSetCookieToResponse(response, outgoing)
 }
 
 /**
- * Builds an option object to be used by the cookie serializer.
- * All options have defaults which can be edited using environment variables.
- *
- * Environment variables available:
- * - `env.SESSION_COOKIE_HTTPONLY`:
- *   Specifies if the cookie should have the `HttpOnly` attribute.
- *   Set to "0" to remove this attribute from the cookie definition.
- * - `env.SESSION_COOKIE_SECURE`:
- *   Specifies if the cookie should have the `Secure` attribute.
- *   Set to "0" to remove this attribute from the cookie definition.
- * - `env.SESSION_COOKIE_SAMESITE`:
- *   Will specify the value for the `SameSite` attribute for the cookie.
- *   Can be "Strict", "None" or "Lax" (default).
- * - `env.SESSION_COOKIE_MAX_AGE_SPAN`:
- *   Specifies, in second, how long the cookie should be valid for.
- *   Defaults to 7 days.
- * - `env.SESSION_COOKIE_DOMAIN`:
- *   If set, will specify a value for the `Domain` attribute for the cookie.
- * - `env.SESSION_COOKIE_PATH`:
- *   If set, will specify a value for the `Path` attribute for the cookie.
- *   Defaults to `/`.
+ * Runs a Lambda function handler, whatever its style, and returns a promise resolving to its response.
+ * - Async functions, and functions returning a promise: the promise is awaited.
+ * - Other functions: the value they return is used as is, even if they declare a third `callback` parameter.
+ * - Callback-style handlers (declaring a third `callback` parameter) that return `undefined`:
+ *   resolved once `callback(error, response)` is called.
+ *   Like AWS Lambda, the callback is ignored if the handler returns a promise (or a value).
  *
- * @returns {object} - Options object for `cookie.serialize`
+ * @param {function} handler - Lambda function handler.
+ * @param {Object} event - From the Lambda handler function.
+ * @param {Object} context - From the Lambda handler function.
+ * @returns {Promise<Object>} - Response of the handler.
  * @private
  */
-function getCookieOptions () {
-  // Defaults (options detail: https://github.com/jshttp/cookie#options-1)
-  const options = {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'lax',
-    maxAge: SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT,
-    path: '/'
-  }
+function runHandler (handler, event, context) {
+  return new Promise((resolve, reject) => {
+    const callback = (err, response) => err ? reject(err) : resolve(response)
+    const result = handler(event, context, callback)
+
+    if (result && typeof result.then === 'function') {
+      result.then(resolve, reject)
+    } else if (result !== undefined || handler.length < 3) {
+      resolve(result)
+    }
+  })
+}
 
-  //
-  // Use environment variables to edit defaults.
-  //
-  const {
-    SESSION_COOKIE_HTTPONLY,
-    SESSION_COOKIE_SECURE,
-    SESSION_COOKIE_SAMESITE,
-    SESSION_COOKIE_MAX_AGE_SPAN,
-    SESSION_COOKIE_DOMAIN,
-    SESSION_COOKIE_PATH
-  } = process.env
-
-  // HttpOnly
-  if (SESSION_COOKIE_HTTPONLY === '0') {
-    delete options.httpOnly
-  }
+/**
+ * Collects raw `Cookie` header values from every event shape Netlify and AWS Lambda can produce:
+ * - `event.multiValueHeaders.cookie`, all entries, regardless of case;
+ * - `event.headers.cookie`, regardless of case;
+ * - `event.cookies` (API Gateway v2 payloads), one entry per cookie.
+ * Duplicates are merged by `parseCookieHeaders()`.
+ *
+ * @param {Object} event - From the Lambda handler function.
+ * @returns {string[]} - Raw `Cookie` header values.
+ * @private
+ */
+function getEventCookieHeaders (event) {
+  const headers = []
 
-  // Secure
-  if (SESSION_COOKIE_SECURE === '0') {
-    delete options.secure
-  }
+  for (const source of [event.multiValueHeaders, event.headers]) {
+    if (!source) {
+      continue
+    }
 
-  // SameSite
-  if (['Strict', 'Lax', 'None'].includes(SESSION_COOKIE_SAMESITE)) {
-    options.sameSite = SESSION_COOKIE_SAMESITE.toLowerCase()
+    for (const [name, value] of Object.entries(source)) {
+      if (name.toLowerCase() === 'cookie') {
+        headers.push(...[].concat(value))
+      }
+    }
   }
 
-  // Max-Age
-  if (!isNaN(parseInt(SESSION_COOKIE_MAX_AGE_SPAN))) {
-    options.maxAge = parseInt(SESSION_COOKIE_MAX_AGE_SPAN)
+  if (Array.isArray(event.cookies)) {
+    headers.push(...event.cookies)
   }
 
-  // Domain
-  if (SESSION_COOKIE_DOMAIN) {
-    options.domain = SESSION_COOKIE_DOMAIN
-  }
+  return headers
+}
 
-  // Path
-  if (SESSION_COOKIE_PATH) {
-    options.path = SESSION_COOKIE_PATH
+/**
+ * Returns the HTTP method of a Lambda event:
+ * - `event.httpMethod` (Netlify and API Gateway v1 payloads);
+ * - `event.requestContext.http.method` (API Gateway v2 payloads).
+ *
+ * @param {Object} event - From the Lambda handler function.
+ * @returns {?string}
+ * @private
+ */
+function getEventMethod (event) {
+  if (event.httpMethod) {
+    return event.httpMethod
   }
 
-  return options
+  const { requestContext } = event
+  return (requestContext && requestContext.http && requestContext.http.method) || null
 }
 
 /**
- * Checks and returns the secret key to be used to sign the session cookie.
- * Reads from `env.SESSION_COOKIE_SECRET`.
- * The key must be at least 32 bytes long.
+ * Adds a `Set-Cookie` entry to a Lambda response object.
+ * Existing `Set-Cookie` entries in `response.headers` and `response.multiValueHeaders` are preserved,
+ * and merged into `response.multiValueHeaders`.
+ *
+ * Streaming responses (i.e: Netlify's `stream()`) are handed to `awslambda.HttpResponseStream.from()`,
+ * which only forwards `statusCode`, `headers` and `cookies`: the cookie is added to `response.cookies` as well,
+ * and `response.headers['Set-Cookie']` is left in place.
  *
- * @returns {string} - Key to be used to sign cookies
+ * @param {Object} response - From the Lambda handler function. Edited in place.
+ * @param {string} value - Serialized cookie.
  * @private
  */
-function getSecretKey () {
-  const secret = process.env.SESSION_COOKIE_SECRET
-  let secretLength = 0
+function appendSetCookie (response, value) {
+  const streaming = isStreamBody(response.body)
+
+  if (streaming) {
+    response.cookies = [...(response.cookies || []), value]
+  }
+
+  // Create `Set-Cookie` entry in `response.multiValueHeaders` if not set.
+  if (!response.multiValueHeaders) {
+    response.multiValueHeaders = {}
+  }
 
-  if (!secret || typeof secret !== 'string') {
-    throw new Error('"SESSION_COOKIE_SECRET": No secret key provided.')
+  if (!response.multiValueHeaders['Set-Cookie']) {
+    response.multiValueHeaders['Set-Cookie'] = []
   }
 
-  secretLength = Buffer.byteLength(secret, 'utf-8')
-  if (secretLength < 32) {
-    throw new Error(`"SESSION_COOKIE_SECRET": The secret key must be at least 32 bytes long (${secretLength} given).`)
+  // Merge any value that may be in `headers['Set-Cookie']` to `response.multiValueHeaders['Set-Cookie']`.
+  if (!streaming && response.headers && response.headers['Set-Cookie']) {
+    response.multiValueHeaders['Set-Cookie'].push(response.headers['Set-Cookie'])
+    delete response.headers['Set-Cookie']
   }
 
-  return secret
+  response.multiValueHeaders['Set-Cookie'].push(value)
+}
+
+/**
+ * Checks if the body of a Lambda response is a stream: a Node.js `Readable` or a `ReadableStream`.
+ *
+ * @param {*} body - From the Lambda response.
+ * @returns {boolean}
+ * @private
+ */
+function isStreamBody (body) {
+  return Boolean(body) && typeof body === 'object' && (typeof body.pipe === 'function' || typeof body.getReader === 'function')
 }
 
 //
@@ -351,7 +391,25 @@ function getSecretKey () {
 //
 module.exports = {
   withSession,
+  withSessionV2,
   getSession,
+  getSessionError,
+  getSessionId,
+  getCsrfToken,
+  flash,
+  getFlashes,
   clearSession,
-  generateSecretKey
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  generateSecretKey,
+  createMemoryStore,
+  createFileSystemStore,
+  SessionError,
+  InvalidSignatureError,
+  MalformedPayloadError,
+  SessionExpiredError,
+  SessionTooLargeError,
+  SessionValidationError
 }
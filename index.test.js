@@ -9,24 +9,35 @@ const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals'
 
 const lib = rewire('./index.js')
 const withSession = lib.__get__('withSession')
+const withSessionV2 = lib.__get__('withSessionV2')
 const getSession = lib.__get__('getSession')
 const clearSession = lib.__get__('clearSession')
+const destroySession = lib.__get__('destroySession')
+const getSessionId = lib.__get__('getSessionId')
+const regenerateSession = lib.__get__('regenerateSession')
+const serializeSession = lib.__get__('serializeSession')
 const generateSecretKey = lib.__get__('generateSecretKey')
-const getCookieName = lib.__get__('getCookieName')
-const getCookieOptions = lib.__get__('getCookieOptions')
-const getSecretKey = lib.__get__('getSecretKey')
-const SIGNATURE_DIGEST_LENGTH = lib.__get__('SIGNATURE_DIGEST_LENGTH')
-const SESSION_COOKIE_NAME_DEFAULT = lib.__get__('SESSION_COOKIE_NAME_DEFAULT')
-const SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT = lib.__get__('SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT')
+const createMemoryStore = lib.__get__('createMemoryStore')
+const getSessionError = lib.__get__('getSessionError')
+const InvalidSignatureError = lib.__get__('InvalidSignatureError')
+const MalformedPayloadError = lib.__get__('MalformedPayloadError')
+const SessionTooLargeError = lib.__get__('SessionTooLargeError')
+
+const core = rewire('./core.js')
+const encodeCookieValue = core.__get__('encodeCookieValue')
+const decodeCookieValue = core.__get__('decodeCookieValue')
+const SIGNATURE_DIGEST_LENGTH = core.__get__('SIGNATURE_DIGEST_LENGTH')
+const COOKIE_MAX_SIZE = core.__get__('COOKIE_MAX_SIZE')
+const COOKIE_MAX_CHUNKS = core.__get__('COOKIE_MAX_CHUNKS')
+const ENCRYPTED_COOKIE_PREFIX = core.__get__('ENCRYPTED_COOKIE_PREFIX')
+const SESSION_METADATA_KEY = core.__get__('SESSION_METADATA_KEY')
+
+const config = rewire('./config.js')
+const getCookieName = config.__get__('getCookieName')
 
 //
 // Environment variable mocks
 //
-const SESSION_COOKIE_NAME = {
-  valid: ['session-cookie', 'FOOBAR42', '!!__'],
-  invalid: ['', ' ', 'session cookie', 'séssion', 'çćàâò']
-}
-
 const SESSION_COOKIE_SECRET = {
   valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk=',
   invalid: 'tooshort'
@@ -62,10 +73,34 @@ afterAll(() => {
 // Test suites
 //
 describe('Test suite for the `withSession()` function:', () => {
-  test('Throws when given anything else than an async function', () => {
-    for (const value of [{}, [], 'foo', () => true]) {
+  test('Throws when given anything else than a function', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    for (const value of [{}, [], 'foo', null]) {
       expect(() => withSession(value)).toThrow()
     }
+
+    expect(() => withSession(() => true)).not.toThrow()
+  })
+
+  test('Throws when given a store that does not implement the store interface.', () => {
+    const handler = async () => ({})
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    for (const store of [null, {}, { get () {}, set () {}, destroy () {} }]) {
+      expect(() => withSession(handler, { store })).toThrow()
+    }
+
+    expect(() => withSession(handler, { store: createMemoryStore() })).not.toThrow()
+  })
+
+  test('Throws when given invalid options, naming the option at fault.', () => {
+    const handler = async () => ({})
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    expect(() => withSession(handler, { foo: 'bar' })).toThrow('options.foo')
+    expect(() => withSession(handler, { maxAge: 'FOO' })).toThrow('options.maxAge')
+    expect(() => withSession(handler, { secret: SESSION_COOKIE_SECRET.invalid })).toThrow('options.secret')
   })
 
   test('Binds given async function to `sessionWrapper()`:', async () => {
@@ -89,6 +124,183 @@ describe('Test suite for the `withSession()` function:', () => {
 
     expect(flags.handlerRan).toBe(true)
   })
+
+  test('Accepts handlers returning a value or a promise, and callback-style handlers.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const edit = (context) => {
+      getSession(context).visited = true
+      return { statusCode: 200 }
+    }
+
+    const handlers = [
+      (event, context) => edit(context),
+      (event, context) => new Promise(resolve => setTimeout(() => resolve(edit(context)), 1)),
+      function (event, context, callback) { setTimeout(() => callback(null, edit(context)), 1) },
+      function (event, context, callback) { callback(null, edit(context)) },
+      async (event, context, callback) => edit(context), // Callback is ignored if a promise is returned.
+      function (event, context, callback) { return edit(context) } // ... or a value.
+    ]
+
+    for (const handler of handlers) {
+      const response = await withSession(handler)({}, { clientContext: {} })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch(`${getCookieName()}=`)
+    }
+  })
+
+  test('Errors thrown or passed to the callback by handlers are thrown by the wrapper.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const handlers = [
+      () => { throw new Error('Oops') },
+      () => Promise.reject(new Error('Oops')),
+      (event, context, callback) => callback(new Error('Oops'))
+    ]
+
+    for (const handler of handlers) {
+      await expect(withSession(handler)({}, { clientContext: {} })).rejects.toThrow('Oops')
+    }
+  })
+
+  test('Adds session cookies to streaming responses before their body is read.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    let pulled = false
+
+    const response = await withSession(async (event, context) => {
+      getSession(context).visited = true
+
+      const body = new ReadableStream({
+        pull (controller) {
+          pulled = true
+          controller.enqueue(new TextEncoder().encode('Hello'))
+          controller.close()
+        }
+      }, { highWaterMark: 0 })
+
+      return { statusCode: 200, headers: { 'Content-Type': 'text/plain' }, body }
+    })({}, { clientContext: {} })
+
+    expect(pulled).toBe(false)
+    expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch(`${getCookieName()}=`)
+    expect(await new Response(response.body).text()).toBe('Hello')
+  })
+
+  test('Session cookies of streaming responses are forwarded by Netlify\'s `stream()`.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    // Mirrors `stream()` from `@netlify/functions`: the body is piped, and only the metadata
+    // `awslambda.HttpResponseStream.from()` honors (`statusCode`, `headers`, `cookies`) are forwarded.
+    const stream = (handler) => async (event, context) => {
+      const { body, ...metadata } = await handler(event, context)
+      const { statusCode, headers, cookies } = metadata
+      return { metadata: { statusCode, headers, cookies }, body }
+    }
+
+    const { metadata, body } = await stream(withSession(async (event, context) => {
+      getSession(context).visited = true
+      const body = new ReadableStream({
+        start (controller) {
+          controller.enqueue(new TextEncoder().encode('Hello'))
+          controller.close()
+        }
+      })
+
+      return { statusCode: 200, headers: { 'Set-Cookie': 'another-cookie=12' }, body }
+    }))({}, { clientContext: {} })
+
+    expect(metadata.statusCode).toBe(200)
+    expect(metadata.headers).toEqual({ 'Set-Cookie': 'another-cookie=12' })
+    expect(metadata.cookies.length).toBe(1)
+    expect(metadata.cookies[0]).toMatch(`${getCookieName()}=`)
+    expect(await new Response(body).text()).toBe('Hello')
+  })
+
+  test('Handlers that don\'t produce a response get no session cookie.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const handlers = [
+      (event, context, callback) => { getSession(context).visited = true; callback(null) },
+      (event, context) => { getSession(context).visited = true }
+    ]
+
+    for (const handler of handlers) {
+      expect(await withSession(handler)({}, { clientContext: {} })).toBe(undefined)
+    }
+  })
+})
+
+describe('Test suite for the `withSessionV2()` function:', () => {
+  test('Throws when given anything else than a function', () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    for (const value of [{}, [], 'foo', null]) {
+      expect(() => withSessionV2(value)).toThrow()
+    }
+
+    expect(() => withSessionV2(() => true)).not.toThrow()
+  })
+
+  test('Reads cookies from `request.headers` and appends session cookies to the returned `Response`.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const handler = async (request, context) => {
+      const session = getSession(context)
+      session.visits = (session.visits || 0) + 1
+      return new Response(`${session.visits}`, { headers: { 'Set-Cookie': 'another-cookie=12' } })
+    }
+
+    // First run: no session.
+    let response = await withSessionV2(handler)(new Request('https://example.com'), {})
+    expect(await response.text()).toBe('1')
+
+    const setCookie = response.headers.getSetCookie()
+    expect(setCookie.length).toBe(2)
+    expect(setCookie[0]).toBe('another-cookie=12')
+    expect(setCookie[1]).toMatch(`${getCookieName()}=`)
+
+    // Second run: session is read from `Cookie`.
+    const request = new Request('https://example.com', { headers: { Cookie: setCookie[1].split(';')[0] } })
+    response = await withSessionV2(handler)(request, {})
+    expect(await response.text()).toBe('2')
+  })
+
+  test('Shares the same cookie format as `withSession()`.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    // Session cookie issued by a v1 function...
+    const v1Response = await withSession(async (event, context) => {
+      getSession(context).from = 'v1'
+      return { statusCode: 200 }
+    })({}, { clientContext: {} })
+    const v1Cookie = v1Response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    // ... is read by a v2 function, which can also use `destroySession()`.
+    let from = null
+    const v2Response = await withSessionV2(async (request, context) => {
+      from = getSession(context).from
+      destroySession(context)
+      return Response.redirect('https://example.com/', 302) // Immutable headers
+    })(new Request('https://example.com', { headers: { Cookie: v1Cookie } }), {})
+
+    expect(from).toBe('v1')
+    expect(v2Response.status).toBe(302)
+    expect(v2Response.headers.get('Location')).toBe('https://example.com/')
+    expect(v2Response.headers.getSetCookie()[0]).toMatch('Max-Age=0')
+  })
+
+  test('Accepts handlers returning a `Response` directly, including streaming ones.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const response = await withSessionV2((request, context) => {
+      getSession(context).visited = true
+      return new Response(new Blob(['Hello']).stream())
+    })(new Request('https://example.com'), {})
+
+    expect(response.headers.getSetCookie()[0]).toMatch(`${getCookieName()}=`)
+    expect(await response.text()).toBe('Hello')
+  })
 })
 
 describe('Test suite for the `getSession()` function:', () => {
@@ -126,6 +338,49 @@ describe('Test suite for the `clearSession()` function:', () => {
   })
 })
 
+describe('Test suite for the `destroySession()` function:', () => {
+  test('Empties `context.clientContext.sessionCookieData` and flags the session for destruction.', () => {
+    const context = { clientContext: {} }
+
+    const session = getSession(context)
+    session.foo = 'bar'
+
+    destroySession(context)
+    expect(Object.keys(session).length).toBe(0)
+    expect(context.clientContext.sessionCookieDestroyed).toBe(true)
+  })
+})
+
+describe('Test suite for the `getSessionId()` and `regenerateSession()` functions:', () => {
+  test('Throw unless given a suitable `context` object as an argument.', () => {
+    for (const value of [{}, '', 12]) {
+      expect(() => getSessionId(value)).toThrow()
+      expect(() => regenerateSession(value)).toThrow()
+    }
+  })
+
+  test('Session ID is stable until regenerated, and `null` once the session is destroyed.', () => {
+    const context = { clientContext: {} }
+    const session = getSession(context)
+    session.foo = 'bar'
+
+    const sessionId = getSessionId(context)
+    expect(sessionId).toMatch(/^[0-9a-f]{32}$/)
+    expect(getSessionId(context)).toBe(sessionId)
+
+    const newSessionId = regenerateSession(context)
+    expect(newSessionId).not.toBe(sessionId)
+    expect(getSessionId(context)).toBe(newSessionId)
+    expect(session).toEqual({ foo: 'bar' })
+
+    regenerateSession(context, { keepData: false })
+    expect(session).toEqual({})
+
+    destroySession(context)
+    expect(getSessionId(context)).toBe(null)
+  })
+})
+
 describe('Test suite for the `generateSecretKey()` function:', () => {
   test('Returns a 32-byte-long random key.', () => {
     const previousKeys = {} // Keep track of previously generated keys to check for uniqueness.
@@ -263,169 +518,720 @@ describe('Test suite for the `sessionWrapper()` function:', () => {
     response = await withSession(handler)(event, context)
     expect(flags.sessionCookieIsParsed).toBe(false)
   })
-})
 
-describe('Test suite for the `getCookieName()` function:', () => {
-  test('Returns default name if `env.SESSION_COOKIE_NAME` is not set.', () => {
-    const name = getCookieName()
-    expect(name).toBe(SESSION_COOKIE_NAME_DEFAULT)
+  test('Accepts cookies signed with a previous key and re-signs them with the current key.', async () => {
+    const previousKey = generateSecretKey()
+    let response = null
+
+    // Issue a cookie using what is going to be the previous key.
+    process.env.SESSION_COOKIE_SECRET = previousKey
+    delete process.env.SESSION_COOKIE_SECRET_PREVIOUS
+    clearSession(context)
+
+    response = await withSession(handler)(event, context)
+    const oldCookie = response.multiValueHeaders['Set-Cookie'][2].split(';')[0]
+
+    // Rotate keys: cookie should still be accepted.
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_SECRET_PREVIOUS = previousKey
+    event.multiValueHeaders = { Cookie: [oldCookie] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+
+    response = await withSession(handler)(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
+
+    // New cookie should be signed with the current key only.
+    const newCookie = response.multiValueHeaders['Set-Cookie'][2].split(';')[0]
+    expect(newCookie).not.toBe(oldCookie)
+
+    delete process.env.SESSION_COOKIE_SECRET_PREVIOUS
+    event.multiValueHeaders = { Cookie: [newCookie] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+
+    response = await withSession(handler)(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
   })
 
-  test('If set, `env.SESSION_COOKIE_NAME` can only contain ASCII characters and no whitespace.', () => {
-    for (const name of SESSION_COOKIE_NAME.valid) {
-      process.env.SESSION_COOKIE_NAME = name
-      expect(getCookieName()).toBe(name)
+  test('Encrypted mode: reads existing signed cookies and writes encrypted ones.', async () => {
+    let response = null
+
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    delete process.env.SESSION_COOKIE_ENCRYPTED
+
+    // Signed cookie, issued before encryption was turned on.
+    clearSession(context)
+    delete event.multiValueHeaders
+    response = await withSession(handler)(event, context)
+    const signedCookie = response.multiValueHeaders['Set-Cookie'][2].split(';')[0]
+
+    // Turn on encryption: signed cookie must still be accepted, and replaced by an encrypted one.
+    process.env.SESSION_COOKIE_ENCRYPTED = '1'
+    event.multiValueHeaders = { Cookie: [signedCookie] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+
+    response = await withSession(handler)(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
+
+    const encryptedCookie = response.multiValueHeaders['Set-Cookie'][2].split(';')[0]
+    expect(encryptedCookie).toMatch(`${getCookieName()}=${ENCRYPTED_COOKIE_PREFIX}`)
+
+    // Encrypted cookie can be read back.
+    event.multiValueHeaders = { Cookie: [encryptedCookie] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+
+    response = await withSession(handler)(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
+  })
+
+  test('Discards sessions past their absolute or idle timeout.', async () => {
+    const now = Math.floor(Date.now() / 1000)
+    const keys = [SESSION_COOKIE_SECRET.valid]
+
+    // Builds a `Cookie` header containing `toStore` and the given metadata.
+    const makeCookie = async (metadata) => {
+      const json = JSON.stringify({ ...toStore, [SESSION_METADATA_KEY]: metadata })
+      return `${getCookieName()}=${encodeURIComponent(await encodeCookieValue(json, keys, false))}`
     }
 
-    for (const name of SESSION_COOKIE_NAME.invalid) {
-      process.env.SESSION_COOKIE_NAME = name
-      expect(() => getCookieName()).toThrow()
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_ABSOLUTE_TIMEOUT = '3600'
+    process.env.SESSION_COOKIE_IDLE_TIMEOUT = '600'
+    delete process.env.SESSION_COOKIE_ENCRYPTED
+
+    const cases = [
+      { metadata: { iat: now - 60, lst: now - 60 }, parsed: true },
+      { metadata: { iat: now - 7200, lst: now - 60 }, parsed: false }, // Past absolute timeout
+      { metadata: { iat: now - 1200, lst: now - 1200 }, parsed: false }, // Past idle timeout
+      { metadata: undefined, parsed: false }, // Issued before timestamps were introduced: can't be checked, so can't be replayed
+      { metadata: { iat: now - 60 }, parsed: false } // Idle timeout can't be checked
+    ]
+
+    for (const { metadata, parsed } of cases) {
+      event.multiValueHeaders = { Cookie: [await makeCookie(metadata)] }
+      clearSession(context)
+      flags.sessionCookieIsParsed = false
+
+      const response = await withSession(handler)(event, context)
+      expect(flags.sessionCookieIsParsed).toBe(parsed)
+      expect(SESSION_METADATA_KEY in getSession(context)).toBe(false)
+
+      // Outgoing cookie: `iat` is preserved if session was valid, `lst` is refreshed.
+      const value = decodeURIComponent(response.multiValueHeaders['Set-Cookie'][2].split(';')[0].split('=')[1])
+      const outgoing = JSON.parse(Buffer.from((await decodeCookieValue(value, keys)).payload).toString())[SESSION_METADATA_KEY]
+
+      expect(outgoing.lst).toBeGreaterThanOrEqual(now)
+      if (parsed && metadata) {
+        expect(outgoing.iat).toBe(metadata.iat)
+      } else {
+        expect(outgoing.iat).toBeGreaterThanOrEqual(now)
+      }
     }
+
+    // Without timeouts, sessions issued before timestamps were introduced are still accepted.
+    delete process.env.SESSION_COOKIE_ABSOLUTE_TIMEOUT
+    delete process.env.SESSION_COOKIE_IDLE_TIMEOUT
+    event.multiValueHeaders = { Cookie: [await makeCookie(undefined)] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+
+    await withSession(handler)(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
   })
-})
 
-describe('Test suite for the `getCookieName()` function:', () => {
-  test('Returns default name if `env.SESSION_COOKIE_NAME` is not set.', () => {
-    delete process.env.SESSION_COOKIE_NAME
-    const name = getCookieName()
-    expect(name).toBe(SESSION_COOKIE_NAME_DEFAULT)
+  test('Only re-emits the session cookie when the expiry mode calls for it.', async () => {
+    const now = Math.floor(Date.now() / 1000)
+    const keys = [SESSION_COOKIE_SECRET.valid]
+    const maxAge = 1000
+
+    // Builds a `Cookie` header containing `toStore` (which `handler` doesn't change) and the given metadata.
+    const makeCookie = async (metadata, signingKeys = keys, encrypted = false) => {
+      const json = JSON.stringify({ ...toStore, [SESSION_METADATA_KEY]: { sid: 'f'.repeat(32), ...metadata } })
+      return `${getCookieName()}=${encodeURIComponent(await encodeCookieValue(json, signingKeys, encrypted))}`
+    }
+
+    // Runs `handler` with a given cookie and returns the session cookie that was sent back, if any.
+    const run = async (cookieHeader) => {
+      event.multiValueHeaders = { Cookie: [cookieHeader] }
+      clearSession(context)
+      const response = await withSession(handler)(event, context)
+      return response.multiValueHeaders['Set-Cookie'].find(value => value.startsWith(`${getCookieName()}=`))
+    }
+
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_MAX_AGE_SPAN = `${maxAge}`
+    delete process.env.SESSION_COOKIE_ABSOLUTE_TIMEOUT
+    delete process.env.SESSION_COOKIE_IDLE_TIMEOUT
+
+    // "fixed" mode: unchanged session is not sent back. Changed session keeps its original expiry.
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'fixed'
+    expect(await run(await makeCookie({ iat: now - 900, lst: now - 900, exp: now + 100 }))).toBe(undefined)
+
+    // Cookies issued before session IDs were introduced are sent back once, with an ID.
+    expect(await run(await makeCookie({ iat: now - 900, lst: now - 900, exp: now + 100, sid: undefined }))).toMatch(/Max-Age=(99|100);/)
+
+    expect(await run('another-cookie=12')).toMatch(`Max-Age=${maxAge}`) // No incoming session: new expiry.
+
+    const incomingCookie = await makeCookie({ iat: now - 900, lst: now - 900, exp: now + 100 })
+    toStore.extra = 'changed' // `handler` will add this entry to the session.
+    const changedCookie = await run(incomingCookie)
+    delete toStore.extra
+    expect(changedCookie).toMatch(/Max-Age=(99|100);/)
+
+    // "rolling" mode: expiry is only refreshed once threshold is reached.
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'rolling'
+    process.env.SESSION_COOKIE_ROLLING_THRESHOLD = '0.5'
+    expect(await run(await makeCookie({ iat: now - 100, lst: now - 100, exp: now + 900 }))).toBe(undefined)
+    expect(await run(await makeCookie({ iat: now - 600, lst: now - 600, exp: now + 400 }))).toMatch(`Max-Age=${maxAge}`)
+
+    // Cookie that is not in the configured format (signed or encrypted) is always re-issued in that format.
+    const isEncrypted = (setCookie) => decodeURIComponent(setCookie.split(';')[0].split('=')[1]).startsWith(ENCRYPTED_COOKIE_PREFIX)
+
+    process.env.SESSION_COOKIE_ENCRYPTED = '1'
+    let reissued = await run(await makeCookie({ iat: now - 100, lst: now - 100, exp: now + 900 }))
+    expect(reissued).toMatch(/Max-Age=(899|900);/)
+    expect(isEncrypted(reissued)).toBe(true)
+    expect(await run(await makeCookie({ iat: now - 100, lst: now - 100, exp: now + 900 }, keys, true))).toBe(undefined)
+
+    delete process.env.SESSION_COOKIE_ENCRYPTED
+    reissued = await run(await makeCookie({ iat: now - 100, lst: now - 100, exp: now + 900 }, keys, true))
+    expect(reissued).toMatch(/Max-Age=(899|900);/)
+    expect(isEncrypted(reissued)).toBe(false)
+
+    // Cookie signed with a previous key is always re-signed.
+    process.env.SESSION_COOKIE_SECRET_PREVIOUS = generateSecretKey()
+    const previous = [process.env.SESSION_COOKIE_SECRET_PREVIOUS]
+    expect(await run(await makeCookie({ iat: now - 100, lst: now - 100, exp: now + 900 }, previous))).toMatch(/Max-Age=(899|900);/)
+
+    delete process.env.SESSION_COOKIE_SECRET_PREVIOUS
+    delete process.env.SESSION_COOKIE_EXPIRY_MODE
+    delete process.env.SESSION_COOKIE_ROLLING_THRESHOLD
+    delete process.env.SESSION_COOKIE_MAX_AGE_SPAN
+  })
+
+  test('Sends an expiring cookie with the same attributes when the session is destroyed.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_DOMAIN = 'netlify.app'
+    process.env.SESSION_COOKIE_PATH = '/app'
+
+    const logoutHandler = async (event, context) => {
+      getSession(context).foo = 'bar' // Edits made before destruction are discarded.
+      destroySession(context)
+      return { statusCode: 200 }
+    }
+
+    // Start from a valid session.
+    clearSession(context)
+    delete event.multiValueHeaders
+    let response = await withSession(handler)(event, context)
+    event.multiValueHeaders = { Cookie: [response.multiValueHeaders['Set-Cookie'][2].split(';')[0]] }
+
+    clearSession(context)
+    response = await withSession(logoutHandler)(event, context)
+
+    const setCookie = response.multiValueHeaders['Set-Cookie']
+    expect(setCookie.length).toBe(1)
+    expect(setCookie[0]).toMatch(`${getCookieName()}=;`)
+    expect(setCookie[0]).toMatch('Max-Age=0')
+    expect(setCookie[0]).toMatch('Domain=netlify.app')
+    expect(setCookie[0]).toMatch('Path=/app')
+    expect(setCookie[0]).toMatch('Expires=Thu, 01 Jan 1970 00:00:00 GMT')
+
+    // Next invocation with the same context is not affected: the session is read, and its cookie is not expired.
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+    response = await withSession(handler)(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
+    expect(response.multiValueHeaders['Set-Cookie'].some(value => value.includes('Max-Age=0'))).toBe(false)
+
+    delete process.env.SESSION_COOKIE_DOMAIN
+    delete process.env.SESSION_COOKIE_PATH
   })
 
-  test('If set, `env.SESSION_COOKIE_NAME` can only contain ASCII chars and no whitespace.', () => {
-    for (const name of SESSION_COOKIE_NAME.valid) {
-      process.env.SESSION_COOKIE_NAME = name
-      expect(getCookieName()).toBe(name)
+  test('Splits large sessions across several cookies, and cleans up stale chunks.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    let payload = 'x'.repeat(COOKIE_MAX_SIZE * 2)
+
+    const largeHandler = async (event, context) => {
+      getSession(context).payload = payload
+      return { statusCode: 200 }
     }
 
-    for (const name of SESSION_COOKIE_NAME.invalid) {
-      process.env.SESSION_COOKIE_NAME = name
-      expect(() => getCookieName()).toThrow()
+    // Turns `Set-Cookie` values into a `Cookie` header, the way a browser would.
+    const toCookieHeader = (setCookie) => setCookie
+      .filter(value => !value.includes('Max-Age=0'))
+      .map(value => value.split(';')[0])
+      .join('; ')
+
+    // Large session: split into chunks, none of which goes past the limit.
+    clearSession(context)
+    delete event.multiValueHeaders
+    let response = await withSession(largeHandler)(event, context)
+    let setCookie = response.multiValueHeaders['Set-Cookie']
+
+    expect(setCookie.length).toBe(3)
+    for (const [i, value] of setCookie.entries()) {
+      expect(value.startsWith(`${getCookieName()}.${i}=`)).toBe(true)
+      expect(Buffer.byteLength(value)).toBeLessThanOrEqual(COOKIE_MAX_SIZE)
+    }
+
+    // Chunks are put back together on the way in.
+    event.multiValueHeaders = { Cookie: [toCookieHeader(setCookie)] }
+    clearSession(context)
+    payload = 'y'
+    response = await withSession(largeHandler)(event, context)
+    setCookie = response.multiValueHeaders['Set-Cookie']
+
+    // Session shrunk: single cookie, stale chunks are expired.
+    expect(setCookie.length).toBe(4)
+    expect(setCookie[0].startsWith(`${getCookieName()}=`)).toBe(true)
+    for (let i = 0; i < 3; i++) {
+      expect(setCookie[i + 1]).toMatch(new RegExp(`^${getCookieName()}\\.${i}=;.*Max-Age=0`))
     }
+
+    // Session too large: throws.
+    payload = 'x'.repeat(COOKIE_MAX_SIZE * (COOKIE_MAX_CHUNKS + 1))
+    await expect(withSession(largeHandler)(event, context)).rejects.toThrow('too large')
   })
-})
 
-describe('Test suite for the `getSecretKey()` function:', () => {
-  test('Throws if `env.SESSION_COOKIE_SECRET` is not set or less than 32 bytes long.', () => {
-    // No key provided
-    delete process.env.SESSION_COOKIE_SECRET
-    expect(() => getSecretKey()).toThrow()
+  test('Store mode: cookie only holds a signed session ID, data live in the store.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'fixed'
 
-    // Key provided is less than 32 bytes long
-    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.invalid
-    expect(() => getSecretKey()).toThrow()
+    const store = createMemoryStore()
+    const keys = [SESSION_COOKIE_SECRET.valid]
+
+    // Extracts session payload from a `Set-Cookie` value.
+    const readPayload = async (setCookie) => {
+      const value = decodeURIComponent(setCookie.split(';')[0].split('=')[1])
+      return JSON.parse(Buffer.from((await decodeCookieValue(value, keys)).payload).toString())
+    }
+
+    // First run: new session ID is issued, data are saved to the store.
+    clearSession(context)
+    delete event.multiValueHeaders
+    let response = await withSession(handler, { store })(event, context)
+
+    const setCookie = response.multiValueHeaders['Set-Cookie'][2]
+    const payload = await readPayload(setCookie)
+    const sessionId = payload[SESSION_METADATA_KEY].sid
+
+    expect(Object.keys(payload)).toEqual([SESSION_METADATA_KEY])
+    expect(sessionId).toMatch(/^[0-9a-f]{32}$/)
+    expect(await store.get(sessionId)).toEqual(toStore)
+
+    // Second run: data are loaded from the store. Cookie doesn't change.
+    event.multiValueHeaders = { Cookie: [setCookie.split(';')[0]] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+
+    response = await withSession(handler, { store })(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
+    expect(response.multiValueHeaders['Set-Cookie']).toEqual(['and-another-one=42'])
+
+    // Session data are changed: store is updated, cookie still doesn't change.
+    const editHandler = async (event, context) => {
+      getSession(context).foo = 'baz'
+      return { statusCode: 200 }
+    }
+
+    clearSession(context)
+    response = await withSession(editHandler, { store })(event, context)
+    expect(response.multiValueHeaders).toBe(undefined)
+    expect((await store.get(sessionId)).foo).toBe('baz')
+
+    // Session is destroyed: store record is deleted.
+    const logoutHandler = async (event, context) => {
+      destroySession(context)
+      return { statusCode: 200 }
+    }
+
+    clearSession(context)
+    response = await withSession(logoutHandler, { store })(event, context)
+    expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch('Max-Age=0')
+    expect(await store.get(sessionId)).toBe(null)
+
+    // Session ID no longer in store: session is discarded.
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+    response = await withSession(handler, { store })(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(false)
+    expect((await readPayload(response.multiValueHeaders['Set-Cookie'][2]))[SESSION_METADATA_KEY].sid).not.toBe(sessionId)
+
+    delete process.env.SESSION_COOKIE_EXPIRY_MODE
   })
 
-  test('Returns the value of `env.SESSION_COOKIE_SECRET` if set and valid.', () => {
+  test('Regenerating a session issues a new ID, and invalidates the previous one in store mode.', async () => {
     process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
-    const secret = getSecretKey()
-    expect(secret).toBe(SESSION_COOKIE_SECRET.valid)
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'fixed'
+
+    const store = createMemoryStore()
+    const keys = [SESSION_COOKIE_SECRET.valid]
+    let handlerSessionId = null
+
+    // Extracts session ID from a `Set-Cookie` value.
+    const readSessionId = async (setCookie) => {
+      const value = decodeURIComponent(setCookie.split(';')[0].split('=')[1])
+      return JSON.parse(Buffer.from((await decodeCookieValue(value, keys)).payload).toString())[SESSION_METADATA_KEY].sid
+    }
+
+    const loginHandler = async (event, context) => {
+      regenerateSession(context)
+      getSession(context).userId = 42
+      handlerSessionId = getSessionId(context)
+      return { statusCode: 200 }
+    }
+
+    for (const options of [{}, { store }]) {
+      // Anonymous session with some data.
+      let response = await withSession(handler, options)({}, { clientContext: {} })
+      const cookie = response.multiValueHeaders['Set-Cookie'][2].split(';')[0]
+      const sessionId = await readSessionId(response.multiValueHeaders['Set-Cookie'][2])
+
+      // Login: ID changes, data are kept.
+      const context = { clientContext: {} }
+      response = await withSession(loginHandler, options)({ headers: { cookie } }, context)
+      const newSessionId = await readSessionId(response.multiValueHeaders['Set-Cookie'][0])
+
+      expect(newSessionId).not.toBe(sessionId)
+      expect(newSessionId).toBe(handlerSessionId)
+      expect(getSession(context)).toEqual({ ...toStore, userId: 42 })
+
+      if (options.store) {
+        expect(await store.get(sessionId)).toBe(null)
+        expect(await store.get(newSessionId)).toEqual({ ...toStore, userId: 42 })
+      }
+    }
+
+    delete process.env.SESSION_COOKIE_EXPIRY_MODE
   })
-})
 
-describe('Test suite for the `getCookieOptions()` function:', () => {
-  test('`httpOnly` is present and `true` unless `env.SESSION_COOKIE_HTTPONLY` is "0".', () => {
-    let options = null
+  test('Named sessions are each read from and written to their own cookie.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
 
-    // `env.SESSION_COOKIE_HTTPONLY` not set: `httpOnly` = true
-    delete process.env.SESSION_COOKIE_HTTPONLY
-    options = getCookieOptions()
-    expect(options.httpOnly).toBe(true)
+    const names = []
+    const options = {
+      expiryMode: 'fixed',
+      sessions: {
+        cart: { maxAge: 3600, sameSite: 'Strict' },
+        prefs: { name: 'ui-prefs', path: '/app' }
+      },
+      onSave: ({ name }) => names.push(name)
+    }
+
+    const handler = async (event, context) => {
+      getSession(context).userId = 42
+      getSession(context, 'cart').items = ['apple']
+      return { statusCode: 200 }
+    }
+
+    let response = await withSession(handler, options)({}, { clientContext: {} })
+    const cookies = response.multiValueHeaders['Set-Cookie']
 
-    // `env.SESSION_COOKIE_HTTPONLY` not "0": `httpOnly` = true
-    process.env.SESSION_COOKIE_HTTPONLY = 'FOO'
-    options = getCookieOptions()
-    expect(options.httpOnly).toBe(true)
+    // Only sessions holding data get a cookie, with their own attributes.
+    expect(cookies.length).toBe(2)
+    expect(cookies[0]).toMatch(/^session=.*Max-Age=604800; Path=\/; HttpOnly; Secure; SameSite=Lax$/)
+    expect(cookies[1]).toMatch(/^cart=.*Max-Age=3600; Path=\/; HttpOnly; Secure; SameSite=Strict$/)
+    expect(names).toEqual([null, 'cart'])
 
-    // `env.SESSION_COOKIE_HTTPONLY` is "0": `httpOnly` skipped
-    process.env.SESSION_COOKIE_HTTPONLY = '0'
-    options = getCookieOptions()
-    expect('httpOnly' in options).toBe(false)
+    // Sessions are read back on their own: an altered cookie only resets its own session.
+    const context = { clientContext: {} }
+    const alteredCart = cookies[1].split(';')[0].replace(/^cart=./, match => match === 'cart=A' ? 'cart=B' : 'cart=A')
+    const cookie = `${cookies[0].split(';')[0]}; ${alteredCart}; ui-prefs=foo`
+
+    response = await withSession(async (event, context) => {
+      getSession(context, 'prefs').theme = 'dark'
+      return { statusCode: 200 }
+    }, options)({ headers: { cookie } }, context)
+
+    expect(getSession(context)).toEqual({ userId: 42 })
+    expect(getSession(context, 'cart')).toEqual({})
+    expect(getSessionError(context)).toBe(null)
+    expect(getSessionError(context, 'cart')).toBeInstanceOf(InvalidSignatureError)
+    expect(getSessionError(context, 'prefs')).toBeInstanceOf(InvalidSignatureError)
+    expect(response.multiValueHeaders['Set-Cookie'].length).toBe(1)
+    expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch(/^ui-prefs=.*Path=\/app;/)
+
+    // Destroying a named session leaves the others untouched.
+    response = await withSession(async (event, context) => {
+      destroySession(context, 'cart')
+      expect(getSession(context).userId).toBe(42)
+      return { statusCode: 200 }
+    }, options)({ headers: { cookie: cookies.map(value => value.split(';')[0]).join('; ') } }, { clientContext: {} })
+
+    expect(response.multiValueHeaders['Set-Cookie']).toEqual([expect.stringMatching(/^cart=; Max-Age=0;/)])
+
+    // Unknown names throw.
+    expect(() => getSession(context, 'foo')).toThrow('Unknown session "foo"')
   })
 
-  test('`secure` is present and `true` unless `env.SESSION_COOKIE_SECURE` is "0".', () => {
-    let options = null
+  test('Functions wrapped with different options manage their own cookie.', async () => {
+    delete process.env.SESSION_COOKIE_SECRET
 
-    // `env.SESSION_COOKIE_SECURE` not set: `secure` = true
-    delete process.env.SESSION_COOKIE_SECURE
-    options = getCookieOptions()
-    expect(options.secure).toBe(true)
+    const secret = generateSecretKey()
+    const a = withSession(handler, { name: 'session-a', secret, path: '/a' })
+    const b = withSession(handler, { name: 'session-b', secret: [generateSecretKey(), secret], maxAge: 60 })
 
-    // `env.SESSION_COOKIE_SECURE` not "0": `secure` = true
-    process.env.SESSION_COOKIE_SECURE = 'FOO'
-    options = getCookieOptions()
-    expect(options.secure).toBe(true)
+    clearSession(context)
+    delete event.multiValueHeaders
+    let response = await a(event, context)
+    const cookieA = response.multiValueHeaders['Set-Cookie'][2]
+    expect(cookieA).toMatch(/^session-a=.*Path=\/a;/)
 
-    // `env.SESSION_COOKIE_SECURE` is "0": `secure` skipped
-    process.env.SESSION_COOKIE_SECURE = '0'
-    options = getCookieOptions()
-    expect('secure' in options).toBe(false)
+    // Cookie from `a` is not read by `b` (different name).
+    event.multiValueHeaders = { Cookie: [cookieA.split(';')[0]] }
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+    response = await b(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(false)
+    expect(response.multiValueHeaders['Set-Cookie'][2]).toMatch(/^session-b=.*Max-Age=60;/)
+
+    // But it is read again by `a`.
+    clearSession(context)
+    await a(event, context)
+    expect(flags.sessionCookieIsParsed).toBe(true)
   })
 
-  test('`sameSite` is "lax" unless specified otherwise via `env.SESSION_COOKIE_SAMESITE`.', () => {
-    let options = null
+  test('Only emits `Set-Cookie` when session data actually changed.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+    process.env.SESSION_COOKIE_EXPIRY_MODE = 'fixed'
 
-    // `env.SESSION_COOKIE_SAMESITE` not set: `sameSite` = "lax"
-    delete process.env.SESSION_COOKIE_SAMESITE
-    options = getCookieOptions()
-    expect(options.sameSite).toBe('lax')
+    const readOnlyHandler = async (event, context) => {
+      getSession(context)
+      return { statusCode: 200 }
+    }
 
-    // `env.SESSION_COOKIE_SAMESITE` is passed and valid: `sameSite` = value
-    for (const value of ['Lax', 'Strict', 'None']) {
-      process.env.SESSION_COOKIE_SAMESITE = value
-      options = getCookieOptions()
-      expect(options.sameSite).toBe(value.toLowerCase())
+    const nestedEditHandler = async (event, context) => {
+      const session = getSession(context)
+      session.cart = session.cart || { items: [] }
+      session.cart.items.push('item')
+      return { statusCode: 200 }
     }
 
-    // `env.SESSION_COOKIE_SAMESITE` is passed but invalid: `sameSite` = "lax"
-    process.env.SESSION_COOKIE_SAMESITE = 'FOO'
-    options = getCookieOptions()
-    expect(options.sameSite).toBe('lax')
+    // Anonymous visitor, empty session: response is left untouched.
+    delete event.multiValueHeaders
+    clearSession(context)
+    let response = await withSession(readOnlyHandler)(event, context)
+    expect(response).toEqual({ statusCode: 200 })
+
+    // Nested edit: change is detected.
+    response = await withSession(nestedEditHandler)(event, context)
+    const sessionCookie = response.multiValueHeaders['Set-Cookie'][0].split(';')[0]
+
+    event.multiValueHeaders = { Cookie: [sessionCookie] }
+    clearSession(context)
+    response = await withSession(nestedEditHandler)(event, context)
+    expect(getSession(context).cart.items).toEqual(['item', 'item'])
+    expect(response.multiValueHeaders['Set-Cookie'].length).toBe(1)
+
+    // Read-only access to an existing session: no cookie.
+    clearSession(context)
+    response = await withSession(readOnlyHandler)(event, context)
+    expect(response).toEqual({ statusCode: 200 })
+
+    delete process.env.SESSION_COOKIE_EXPIRY_MODE
   })
 
-  test('`maxAge` has a default unless specified otherwise via `env.SESSION_COOKIE_MAX_AGE_SPAN`.', () => {
-    let options = null
+  test('With the default expiry mode, read-only requests leave the response untouched until half of the cookie\'s lifetime has elapsed.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
 
-    // `env.SESSION_COOKIE_MAX_AGE` not set: `maxAge` = SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT
-    delete process.env.SESSION_COOKIE_MAX_AGE_SPAN
-    options = getCookieOptions()
-    expect(options.maxAge).toBe(SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT)
+    const now = Math.floor(Date.now() / 1000)
+    const maxAge = 604800
+
+    const readOnlyHandler = async (event, context) => {
+      getSession(context)
+      return { statusCode: 200 }
+    }
+
+    // Runs `readOnlyHandler` with a session cookie issued `age` seconds ago.
+    const run = async (age) => {
+      const metadata = { iat: now - age, lst: now - age, exp: now - age + maxAge, sid: 'f'.repeat(32) }
+      const json = JSON.stringify({ userId: 1, [SESSION_METADATA_KEY]: metadata })
 
-    // `env.SESSION_COOKIE_MAX_AGE` set but NaN: `maxAge` = SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT
-    process.env.SESSION_COOKIE_MAX_AGE_SPAN = 'FOO'
-    options = getCookieOptions()
-    expect(options.maxAge).toBe(SESSION_COOKIE_MAX_AGE_SPAN_DEFAULT)
+      event.multiValueHeaders = { Cookie: [`${getCookieName()}=${encodeURIComponent(await encodeCookieValue(json, [SESSION_COOKIE_SECRET.valid], false))}`] }
+      clearSession(context)
+      return await withSession(readOnlyHandler)(event, context)
+    }
+
+    // Anonymous visitor, empty session: response is left untouched.
+    delete event.multiValueHeaders
+    clearSession(context)
+    expect(await withSession(readOnlyHandler)(event, context)).toEqual({ statusCode: 200 })
+
+    // Existing session, first half of its lifetime: response is left untouched.
+    expect(await run(0)).toEqual({ statusCode: 200 })
+    expect(await run(maxAge * 0.4)).toEqual({ statusCode: 200 })
+
+    // Second half: cookie is sent back with a new expiry.
+    const response = await run(maxAge * 0.6)
+    expect(response.multiValueHeaders['Set-Cookie'].length).toBe(1)
+    expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch(`Max-Age=${maxAge};`)
 
-    // `env.SESSION_COOKIE_MAX_AGE` set and valid: `maxAge` = value
-    process.env.SESSION_COOKIE_MAX_AGE_SPAN = 2048
-    options = getCookieOptions()
-    expect(options.maxAge).toBe(2048)
+    // With a threshold of 0, the expiry is pushed back on every request.
+    event.multiValueHeaders = { Cookie: [(await serializeSession({ userId: 1 })).split(';')[0]] }
+    clearSession(context)
+    expect((await withSession(readOnlyHandler, { rollingThreshold: 0 })(event, context)).multiValueHeaders['Set-Cookie'].length).toBe(1)
   })
 
-  test('`domain` is not present unless specified otherwise via `env.SESSION_COOKIE_DOMAIN`.', () => {
-    let options = null
+  test('Handles invalid incoming sessions as per failure policy, and lets handlers see why they were dropped.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
 
-    // `env.SESSION_COOKIE_DOMAIN` not set: `domain` skipped
-    delete process.env.SESSION_COOKIE_DOMAIN
-    options = getCookieOptions()
-    expect('domain' in options).toBe(false)
+    let handlerCalls = 0
+    let sessionError = null
 
-    // `env.SESSION_COOKIE_DOMAIN` is set: `domain` = value
-    process.env.SESSION_COOKIE_DOMAIN = 'netlify.app'
-    options = getCookieOptions()
-    expect(options.domain).toBe('netlify.app')
+    const inspectHandler = async (event, context) => {
+      handlerCalls += 1
+      sessionError = getSessionError(context)
+      return { statusCode: 200 }
+    }
+
+    // Payload is properly signed, but is not an object.
+    const notAnObject = await encodeCookieValue('[1,2,3]', [SESSION_COOKIE_SECRET.valid], false)
+    const cases = [
+      { cookie: `${getCookieName()}=forged`, errorClass: InvalidSignatureError },
+      { cookie: `${getCookieName()}=${encodeURIComponent(notAnObject)}`, errorClass: MalformedPayloadError }
+    ]
+
+    for (const { cookie, errorClass } of cases) {
+      event.multiValueHeaders = { Cookie: [cookie] }
+
+      // "reset" (default): handler runs with an empty session, and can see why it was dropped.
+      clearSession(context)
+      let response = await withSession(inspectHandler)(event, context)
+      expect(response).toEqual({ statusCode: 200 })
+      expect(sessionError).toBeInstanceOf(errorClass)
+      expect(getSession(context)).toEqual({})
+
+      // "reject": 400, handler doesn't run.
+      handlerCalls = 0
+      response = await withSession(inspectHandler, { failurePolicy: 'reject' })(event, context)
+      expect(response).toEqual({ statusCode: 400 })
+      expect(handlerCalls).toBe(0)
+
+      // "throw"
+      await expect(withSession(inspectHandler, { failurePolicy: 'throw' })(event, context)).rejects.toThrow(errorClass)
+    }
+
+    // Valid session: no error.
+    delete event.multiValueHeaders
+    await withSession(inspectHandler)(event, context)
+    expect(sessionError).toBe(null)
   })
 
-  test('`path` is "/" unless specified otherwise via `env.SESSION_COOKIE_PATH`.', () => {
-    let options = null
+  test('Handles sessions too large to be sent back as per failure policy.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const largeHandler = async (event, context) => {
+      getSession(context).payload = 'x'.repeat(COOKIE_MAX_SIZE * (COOKIE_MAX_CHUNKS + 1))
+      return { statusCode: 200 }
+    }
 
-    // `env.SESSION_COOKIE_PATH` not set: `path` = "/"
-    delete process.env.SESSION_COOKIE_PATH
-    options = getCookieOptions()
-    expect(options.path).toBe('/')
+    delete event.multiValueHeaders
+    clearSession(context)
+    await expect(withSession(largeHandler)(event, context)).rejects.toThrow(SessionTooLargeError)
 
-    // `env.SESSION_COOKIE_PATH` is set: `path` = value
-    process.env.SESSION_COOKIE_PATH = '/some/path'
-    options = getCookieOptions()
-    expect(options.path).toBe('/some/path')
+    clearSession(context)
+    let response = await withSession(largeHandler, { failurePolicy: { 'too-large': 'reject' } })(event, context)
+    expect(response).toEqual({ statusCode: 400 })
+
+    // "reset": session is discarded, session cookie is expired.
+    clearSession(context)
+    response = await withSession(largeHandler, { failurePolicy: { 'too-large': 'reset' } })(event, context)
+    expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch(`${getCookieName()}=;`)
+    expect(getSession(context)).toEqual({})
+
+    // Same policies with `withSessionV2()`.
+    const largeHandlerV2 = async (request, context) => {
+      await largeHandler(null, context)
+      return new Response('OK')
+    }
+
+    response = await withSessionV2(largeHandlerV2, { failurePolicy: 'reject' })(new Request('https://example.com'), {})
+    expect(response.status).toBe(400)
+  })
+
+  test('Runs lifecycle hooks with the event, the session and details about the cookie.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    const calls = []
+    const hooks = {
+      onLoad: async (details) => calls.push(['onLoad', details]),
+      onInvalid: async (details) => calls.push(['onInvalid', details]),
+      onBeforeSave: async (details) => {
+        details.session.savedBy = 'onBeforeSave' // Edits are saved.
+        calls.push(['onBeforeSave', details])
+      },
+      onSave: (details) => calls.push(['onSave', details])
+    }
+
+    // New session: no `onLoad`, cookie is written.
+    delete event.multiValueHeaders
+    clearSession(context)
+    const response = await withSession(handler, hooks)(event, context)
+    const sessionCookie = response.multiValueHeaders['Set-Cookie'][2]
+
+    expect(calls.map(([name]) => name)).toEqual(['onBeforeSave', 'onSave'])
+    expect(calls[0][1].event).toBe(event)
+    expect(calls[0][1].context).toBe(context)
+    expect(calls[1][1].cookies).toEqual([sessionCookie])
+    expect(calls[1][1].cookieSize).toBe(Buffer.byteLength(sessionCookie))
+    expect(calls[1][1].destroyed).toBe(false)
+
+    // Existing session: `onLoad` is given the session and which key verified it.
+    calls.length = 0
+    event.multiValueHeaders = { Cookie: [sessionCookie.split(';')[0]] }
+    clearSession(context)
+    await withSession(handler, { ...hooks, secret: [generateSecretKey(), SESSION_COOKIE_SECRET.valid] })(event, context)
+
+    expect(calls[0][0]).toBe('onLoad')
+    expect(calls[0][1].session).toEqual({ ...toStore, savedBy: 'onBeforeSave' })
+    expect(calls[0][1].keyIndex).toBe(1)
+    expect(calls[0][1].cookieSize).toBe(Buffer.byteLength(decodeURIComponent(sessionCookie.split(';')[0].split('=')[1])))
+
+    // Invalid session: `onInvalid` is given the error, even if it is then thrown.
+    calls.length = 0
+    event.multiValueHeaders = { Cookie: [`${getCookieName()}=forged`] }
+    clearSession(context)
+    await expect(withSession(handler, { ...hooks, failurePolicy: 'throw' })(event, context)).rejects.toThrow(InvalidSignatureError)
+
+    expect(calls.length).toBe(1)
+    expect(calls[0][0]).toBe('onInvalid')
+    expect(calls[0][1].error).toBeInstanceOf(InvalidSignatureError)
+  })
+
+  test('Reads session cookies from every event shape, and keeps the first duplicate that verifies.', async () => {
+    process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+
+    delete event.multiValueHeaders
+    clearSession(context)
+    const response = await withSession(handler)(event, context)
+    const sessionCookie = response.multiValueHeaders['Set-Cookie'][2].split(';')[0]
+    const forgedCookie = `${getCookieName()}=forged`
+
+    const events = [
+      { multiValueHeaders: { Cookie: ['foo=bar', sessionCookie] } }, // Second `Cookie` header
+      { multiValueHeaders: { COOKIE: [`foo=bar; ${sessionCookie}`] } },
+      { headers: { cookie: sessionCookie } },
+      { cookies: ['foo=bar', sessionCookie] }, // API Gateway v2
+      { multiValueHeaders: { Cookie: [forgedCookie] }, cookies: [sessionCookie] }, // Duplicates: first one doesn't verify
+      { headers: { Cookie: `${forgedCookie}; foo=bar; ${sessionCookie}` } }
+    ]
+
+    for (const shape of events) {
+      clearSession(context)
+      flags.sessionCookieIsParsed = false
+      await withSession(handler)(shape, context)
+      expect(flags.sessionCookieIsParsed).toBe(true)
+    }
+
+    // No duplicate verifies: session is discarded.
+    clearSession(context)
+    flags.sessionCookieIsParsed = false
+    await withSession(handler)({ headers: { cookie: forgedCookie }, cookies: [forgedCookie] }, context)
+    expect(flags.sessionCookieIsParsed).toBe(false)
   })
 })
@@ -0,0 +1,298 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file schema.js
+ * @description Session schema: validation and migrations. Enabled via the `schema` and `migrations` options of `withSession()`.
+ *
+ * - The schema version of a session is stored alongside session metadata (`ver`). It is the number of migrations that were applied to it.
+ * - Incoming sessions are upgraded to the current version by running the migrations they haven't been through, in order,
+ *   then validated before the handler runs. Sessions that can't be upgraded or fail validation are dropped.
+ * - Outgoing sessions are validated before they are signed (or encrypted).
+ *
+ * Schemas can either be a function, or a JSON-Schema-like definition supporting the keywords listed in `SCHEMA_KEYWORDS`.
+ *
+ * Runtime-neutral: does not rely on any runtime-specific API.
+ */
+
+//
+// Imports
+//
+const { SessionValidationError } = require('./errors.js')
+
+//
+// Module-level constants
+//
+/**
+ * Keywords supported in schema definitions. Subset of JSON Schema.
+ * @constant
+ * @private
+ */
+const SCHEMA_KEYWORDS = [
+  'type',
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'enum',
+  'minimum',
+  'maximum',
+  'minLength',
+  'maxLength'
+]
+
+/**
+ * Types that can be used with the `type` keyword.
+ * @constant
+ * @private
+ */
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null']
+
+/**
+ * Session keys reserved by the library (i.e: flash messages, see `flash.js`) start with this prefix. They are not validated.
+ * @constant
+ * @private
+ */
+const RESERVED_KEY_PREFIX = '__session_'
+
+//
+// Functions
+//
+/**
+ * Upgrades incoming session data to the current schema version, then validates them.
+ * Throws a `SessionValidationError` if the session comes from a newer version, if a migration fails, or if validation fails.
+ *
+ * @param {Object} data - Incoming session data, without metadata.
+ * @param {?Object} metadata - Incoming session metadata.
+ * @param {Object} schema - From `getSchema()` in `config.js`.
+ * @returns {Object} - Upgraded session data.
+ * @private
+ */
+function upgradeSession (data, metadata, schema) {
+  const { migrations, version, validate } = schema
+  const incomingVersion = metadata && Number.isInteger(metadata.ver) ? metadata.ver : 0
+
+  if (incomingVersion > version) {
+    throw new SessionValidationError(`Session schema version ${incomingVersion} is newer than the current one (${version}).`)
+  }
+
+  for (let index = incomingVersion; index < version; index++) {
+    let result = null
+
+    try {
+      result = migrations[index](data)
+    } catch (err) {
+      throw new SessionValidationError(`Migration #${index} failed: ${err.message}`)
+    }
+
+    data = result === undefined ? data : result
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new SessionValidationError(`Migration #${index} must return an object.`)
+    }
+  }
+
+  checkSession(data, validate)
+  return data
+}
+
+/**
+ * Validates session data against a validator. Throws a `SessionValidationError` if they don't match.
+ * Reserved keys (see `RESERVED_KEY_PREFIX`) are left out.
+ *
+ * @param {Object} data - Session data, without metadata.
+ * @param {?function} validate - From `getSchema()` in `config.js`. Nothing is checked if `null`.
+ * @private
+ */
+function checkSession (data, validate) {
+  if (!validate) {
+    return
+  }
+
+  const userData = {}
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!key.startsWith(RESERVED_KEY_PREFIX)) {
+      userData[key] = value
+    }
+  }
+
+  const error = validate(userData)
+
+  if (error) {
+    throw new SessionValidationError(`Session data do not match the schema: ${error}`)
+  }
+}
+
+/**
+ * Turns a schema (function or definition) into a validator, returning an error message or `null`.
+ * - Functions are given session data, and must return `false` or throw if they are not valid.
+ * - Definitions are checked using `validateSchema()`.
+ *
+ * @param {(function|Object)} schema - From `withSession()`.
+ * @returns {function} - `(data) => ?string`
+ * @private
+ */
+function createValidator (schema) {
+  if (typeof schema === 'function') {
+    return (data) => {
+      try {
+        return schema(data) === false ? 'Rejected by the schema function.' : null
+      } catch (err) {
+        return err.message
+      }
+    }
+  }
+
+  return (data) => validateSchema(data, schema)
+}
+
+/**
+ * Checks that a schema definition only uses supported keywords and types. Throws otherwise.
+ *
+ * @param {Object} definition - Schema definition.
+ * @param {string} [path] - Used in error messages.
+ * @private
+ */
+function checkSchemaDefinition (definition, path = 'schema') {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`"${path}" must be an object.`)
+  }
+
+  for (const [keyword, value] of Object.entries(definition)) {
+    if (!SCHEMA_KEYWORDS.includes(keyword)) {
+      throw new Error(`"${path}": Unsupported keyword "${keyword}".`)
+    }
+
+    if (keyword === 'type' && ![].concat(value).every(type => SCHEMA_TYPES.includes(type))) {
+      throw new Error(`"${path}.type" must be one of: ${SCHEMA_TYPES.join(', ')}.`)
+    }
+
+    if (keyword === 'properties') {
+      for (const [key, property] of Object.entries(value || {})) {
+        checkSchemaDefinition(property, `${path}.properties.${key}`)
+      }
+    }
+
+    if (keyword === 'items' || (keyword === 'additionalProperties' && typeof value !== 'boolean')) {
+      checkSchemaDefinition(value, `${path}.${keyword}`)
+    }
+  }
+}
+
+/**
+ * Validates a value against a JSON-Schema-like definition. See `SCHEMA_KEYWORDS` for supported keywords.
+ *
+ * @param {*} value - Value to validate.
+ * @param {Object} definition - Schema definition. Must have been checked with `checkSchemaDefinition()`.
+ * @param {string} [path] - Path of `value`, used in error messages.
+ * @returns {?string} - Error message, or `null` if `value` is valid.
+ * @private
+ */
+function validateSchema (value, definition, path = 'session') {
+  if (definition.type !== undefined && ![].concat(definition.type).some(type => isOfType(value, type))) {
+    return `${path} must be of type ${[].concat(definition.type).join(' or ')}.`
+  }
+
+  if (definition.enum !== undefined && !definition.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    return `${path} must be one of: ${definition.enum.map(item => JSON.stringify(item)).join(', ')}.`
+  }
+
+  if (typeof value === 'number') {
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      return `${path} must be >= ${definition.minimum}.`
+    }
+
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      return `${path} must be <= ${definition.maximum}.`
+    }
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    if (definition.minLength !== undefined && value.length < definition.minLength) {
+      return `${path} must have a length of at least ${definition.minLength}.`
+    }
+
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      return `${path} must have a length of at most ${definition.maxLength}.`
+    }
+  }
+
+  if (Array.isArray(value) && definition.items) {
+    for (const [index, item] of value.entries()) {
+      const error = validateSchema(item, definition.items, `${path}[${index}]`)
+
+      if (error) {
+        return error
+      }
+    }
+  }
+
+  if (isOfType(value, 'object')) {
+    const properties = definition.properties || {}
+
+    for (const key of definition.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        return `${path}.${key} is required.`
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemDefinition = Object.prototype.hasOwnProperty.call(properties, key) ? properties[key] : definition.additionalProperties
+
+      if (itemDefinition === false) {
+        return `${path}.${key} is not allowed.`
+      }
+
+      if (itemDefinition && itemDefinition !== true) {
+        const error = validateSchema(item, itemDefinition, `${path}.${key}`)
+
+        if (error) {
+          return error
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Checks if a value is of a given schema type.
+ *
+ * @param {*} value
+ * @param {string} type - One of `SCHEMA_TYPES`.
+ * @returns {boolean}
+ * @private
+ */
+function isOfType (value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'null':
+      return value === null
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number'
+    case 'boolean':
+      return typeof value === 'boolean'
+    default:
+      return false
+  }
+}
+
+//
+// Exports
+//
+module.exports = {
+  upgradeSession,
+  checkSession,
+  createValidator,
+  checkSchemaDefinition,
+  validateSchema
+}
@@ -0,0 +1,228 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file schema.test.js
+ */
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const { withSession, getSession, getSessionError, flash, readSession, serializeSession } = require('./index.js')
+
+const { upgradeSession, validateSchema, createValidator } = require('./schema.js')
+const { SessionValidationError } = require('./errors.js')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Helpers
+//
+/**
+ * Schema definition used across tests.
+ */
+const USER_SCHEMA = {
+  type: 'object',
+  required: ['user'],
+  additionalProperties: false,
+  properties: {
+    user: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 20 },
+        role: { enum: ['admin', 'editor'] }
+      }
+    },
+    cart: { type: 'array', maxLength: 3, items: { type: ['string', 'null'] } }
+  }
+}
+
+/**
+ * Migrations used across tests:
+ * - #0: `userId` (v0) becomes `user.id` (v1).
+ * - #1: `cart` is added (v2).
+ */
+const MIGRATIONS = [
+  (data) => ({ user: { id: data.userId } }),
+  (data) => { data.cart = [] }
+]
+
+//
+// Test suites
+//
+describe('Test suite for the `validateSchema()` function:', () => {
+  test('Returns `null` for valid values.', () => {
+    const values = [
+      { user: { id: 1 } },
+      { user: { id: 2, name: 'Jane', role: 'admin' }, cart: ['a', null] }
+    ]
+
+    for (const value of values) {
+      expect(validateSchema(value, USER_SCHEMA)).toBe(null)
+    }
+  })
+
+  test('Returns an error message describing the first mismatch.', () => {
+    const cases = [
+      [[], 'session must be of type object.'],
+      [{}, 'session.user is required.'],
+      [{ user: { id: 1 }, foo: 1 }, 'session.foo is not allowed.'],
+      [{ user: { id: 1.5 } }, 'session.user.id must be of type integer.'],
+      [{ user: { id: 0 } }, 'session.user.id must be >= 1.'],
+      [{ user: { id: 1, name: '' } }, 'session.user.name must have a length of at least 1.'],
+      [{ user: { id: 1, name: 'a'.repeat(21) } }, 'session.user.name must have a length of at most 20.'],
+      [{ user: { id: 1, role: 'root' } }, 'session.user.role must be one of: "admin", "editor".'],
+      [{ user: { id: 1 }, cart: [1] }, 'session.cart[0] must be of type string or null.'],
+      [{ user: { id: 1 }, cart: ['a', 'b', 'c', 'd'] }, 'session.cart must have a length of at most 3.']
+    ]
+
+    for (const [value, error] of cases) {
+      expect(validateSchema(value, USER_SCHEMA)).toBe(error)
+    }
+  })
+
+  test('Inherited properties are not taken into account.', () => {
+    expect(validateSchema({}, { required: ['toString'] })).toBe('session.toString is required.')
+    expect(validateSchema({ constructor: 1 }, { properties: {}, additionalProperties: false })).toBe('session.constructor is not allowed.')
+  })
+})
+
+describe('Test suite for the `upgradeSession()` function:', () => {
+  const schema = { validate: createValidator(USER_SCHEMA), migrations: MIGRATIONS, version: 2 }
+
+  test('Runs the migrations the session has not been through, in order.', () => {
+    expect(upgradeSession({ userId: 42 }, null, schema)).toEqual({ user: { id: 42 }, cart: [] })
+    expect(upgradeSession({ user: { id: 42 } }, { ver: 1 }, schema)).toEqual({ user: { id: 42 }, cart: [] })
+    expect(upgradeSession({ user: { id: 42 }, cart: ['a'] }, { ver: 2 }, schema)).toEqual({ user: { id: 42 }, cart: ['a'] })
+  })
+
+  test('Throws a `SessionValidationError` if the session cannot be upgraded or does not match the schema.', () => {
+    const cases = [
+      [{ user: { id: 42 }, cart: [] }, { ver: 3 }, schema],
+      [{ userId: 0 }, null, schema],
+      [{}, null, { ...schema, migrations: [() => { throw new Error('Oops') }, MIGRATIONS[1]] }],
+      [{}, null, { ...schema, migrations: [() => 'foo', MIGRATIONS[1]] }],
+      [{ user: { id: 42 } }, { ver: 2 }, { ...schema, validate: createValidator((data) => Array.isArray(data.cart)) }],
+      [{ user: { id: 42 } }, { ver: 2 }, { ...schema, validate: createValidator(() => { throw new Error('Nope') }) }]
+    ]
+
+    for (const [data, metadata, schema] of cases) {
+      expect(() => upgradeSession(data, metadata, schema)).toThrow(SessionValidationError)
+    }
+  })
+
+  test('Reserved keys (i.e: flash messages) are not validated.', () => {
+    const data = { user: { id: 42 }, cart: [], __session_flashes: [['info', 'Hello']] }
+    expect(upgradeSession(data, { ver: 2 }, schema)).toEqual(data)
+  })
+})
+
+describe('Test suite for session schemas in session wrappers:', () => {
+  const options = { schema: USER_SCHEMA, migrations: MIGRATIONS }
+
+  test('Incoming sessions are upgraded before the handler runs, and sent back with the current version.', async () => {
+    const cookie = (await serializeSession({ userId: 42 })).split(';')[0]
+    let session = null
+
+    const response = await withSession(async (event, context) => {
+      session = { ...getSession(context) }
+      flash(context, 'info', 'Welcome back')
+      return { statusCode: 200 }
+    }, options)({ headers: { cookie } }, { clientContext: {} })
+
+    expect(session).toEqual({ user: { id: 42 }, cart: [] })
+
+    const outgoing = await readSession(response.multiValueHeaders['Set-Cookie'][0], options)
+    expect(outgoing.data).toEqual({ user: { id: 42 }, cart: [], __session_flashes: [['info', 'Welcome back']] })
+  })
+
+  test('Incoming sessions that fail validation are dropped (or rejected, depending on `failurePolicy`).', async () => {
+    const cookie = (await serializeSession({ userId: 'foo' })).split(';')[0]
+    let session = null
+    let error = null
+
+    const handler = async (event, context) => {
+      session = getSession(context)
+      error = getSessionError(context)
+      return { statusCode: 200 }
+    }
+
+    await withSession(handler, options)({ headers: { cookie } }, { clientContext: {} })
+    expect(session).toEqual({})
+    expect(error).toBeInstanceOf(SessionValidationError)
+
+    const response = await withSession(handler, { ...options, failurePolicy: 'reject' })({ headers: { cookie } }, { clientContext: {} })
+    expect(response.statusCode).toBe(400)
+
+    expect(await readSession(cookie, options)).toMatchObject({ data: null, reason: 'invalid-schema' })
+  })
+
+  test('Outgoing sessions that do not match the schema are handled as per `failurePolicy`.', async () => {
+    const cookie = (await serializeSession({ user: { id: 42 }, cart: [] }, options)).split(';')[0]
+    let error = null
+
+    const handler = async (event, context) => {
+      getSession(context).user = { id: 'foo' }
+      return { statusCode: 200 }
+    }
+
+    // "reset" (default): session is discarded, and its cookie expired.
+    const context = { clientContext: {} }
+    let response = await withSession(handler, { ...options, onInvalid: (details) => { error = details.error } })({ headers: { cookie } }, context)
+    expect(response.statusCode).toBe(200)
+    expect(response.multiValueHeaders['Set-Cookie'][0]).toMatch('Max-Age=0')
+    expect(getSession(context)).toEqual({})
+    expect(getSessionError(context)).toBeInstanceOf(SessionValidationError)
+    expect(error).toBeInstanceOf(SessionValidationError)
+
+    response = await withSession(handler, { ...options, failurePolicy: 'reject' })({ headers: { cookie } }, { clientContext: {} })
+    expect(response).toEqual({ statusCode: 400 })
+
+    await expect(withSession(handler, { ...options, failurePolicy: 'throw' })({}, { clientContext: {} })).rejects.toThrow(SessionValidationError)
+    await expect(serializeSession({ foo: 'bar' }, options)).rejects.toThrow(SessionValidationError)
+  })
+
+  test('Named sessions do not inherit the schema and migrations of the default session.', async () => {
+    let session = null
+
+    const response = await withSession(async (event, context) => {
+      getSession(context).user = { id: 42 }
+      getSession(context, 'prefs').theme = 'dark'
+      session = getSession(context, 'prefs')
+      return { statusCode: 200 }
+    }, { ...options, sessions: { prefs: {} } })({}, { clientContext: {} })
+
+    expect(session).toEqual({ theme: 'dark' })
+    expect(response.multiValueHeaders['Set-Cookie']).toHaveLength(2)
+  })
+})
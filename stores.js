@@ -0,0 +1,185 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file stores.js
+ * @description Server-side session stores, for use with the `store` option of `withSession()`.
+ */
+
+//
+// Imports
+//
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+//
+// Module-level constants
+//
+/**
+ * Directory in which the file system store saves sessions if none provided.
+ * @constant
+ * @private
+ */
+const FILE_SYSTEM_STORE_DIRECTORY_DEFAULT = path.join(os.tmpdir(), 'netlify-functions-session-cookie')
+
+/**
+ * Session IDs accepted by the file system store. Prevents IDs from being used to escape the store's directory.
+ * @constant
+ * @private
+ */
+const FILE_SYSTEM_STORE_ID_REGEX = /^[A-Za-z0-9_-]+$/
+
+//
+// Public functions
+//
+/**
+ * Creates an in-memory session store.
+ * Sessions only live as long as the process does: meant for local development and tests.
+ *
+ * Store interface (all methods are async):
+ * - `get(id)`: Returns session data for `id`, or `null` if not found or expired.
+ * - `set(id, data, ttl)`: Saves session data for `id`, for `ttl` seconds.
+ * - `destroy(id)`: Deletes session data for `id`.
+ * - `touch(id, ttl)`: Pushes back expiry of session data for `id` to `ttl` seconds from now.
+ *
+ * @returns {Object} - Session store.
+ * @public
+ */
+function createMemoryStore () {
+  const sessions = new Map() // id -> { json, expiresAt }
+
+  return {
+    async get (id) {
+      const record = sessions.get(id)
+
+      if (!record) {
+        return null
+      }
+
+      if (record.expiresAt <= Date.now()) {
+        sessions.delete(id)
+        return null
+      }
+
+      return JSON.parse(record.json) // Copy, so the stored session can't be edited by reference.
+    },
+
+    async set (id, data, ttl) {
+      sessions.set(id, { json: JSON.stringify(data), expiresAt: Date.now() + ttl * 1000 })
+    },
+
+    async destroy (id) {
+      sessions.delete(id)
+    },
+
+    async touch (id, ttl) {
+      const record = sessions.get(id)
+
+      if (record) {
+        record.expiresAt = Date.now() + ttl * 1000
+      }
+    }
+  }
+}
+
+/**
+ * Creates a session store saving sessions as JSON files in a given directory.
+ * Meant for local development and tests: Netlify Functions do not have a persistent file system.
+ *
+ * See `createMemoryStore()` for the store interface.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Directory in which sessions are saved. Defaults to a sub-folder of `os.tmpdir()`.
+ * @returns {Object} - Session store.
+ * @public
+ */
+function createFileSystemStore (options = {}) {
+  const directory = options.directory || FILE_SYSTEM_STORE_DIRECTORY_DEFAULT
+
+  if (typeof directory !== 'string') {
+    throw new Error('`createFileSystemStore()`: "directory" must be a string.')
+  }
+
+  /**
+   * Returns the path of the file holding session data for a given ID.
+   * @param {string} id
+   * @returns {string}
+   */
+  const getFilePath = (id) => {
+    if (typeof id !== 'string' || !FILE_SYSTEM_STORE_ID_REGEX.test(id)) {
+      throw new Error(`\`createFileSystemStore()\`: Invalid session ID "${id}".`)
+    }
+
+    return path.join(directory, `${id}.json`)
+  }
+
+  /**
+   * Reads a session record from disk. Returns `null` if not found or unreadable.
+   * @param {string} id
+   * @returns {Promise<?Object>}
+   */
+  const read = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(getFilePath(id), 'utf-8'))
+    } catch (err) {
+      if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+        return null
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Writes a session record to disk.
+   * @param {string} id
+   * @param {Object} record
+   * @returns {Promise}
+   */
+  const write = async (id, record) => {
+    await fs.promises.mkdir(directory, { recursive: true })
+    await fs.promises.writeFile(getFilePath(id), JSON.stringify(record), 'utf-8')
+  }
+
+  return {
+    async get (id) {
+      const record = await read(id)
+
+      if (!record) {
+        return null
+      }
+
+      if (record.expiresAt <= Date.now()) {
+        await this.destroy(id)
+        return null
+      }
+
+      return record.data
+    },
+
+    async set (id, data, ttl) {
+      await write(id, { data, expiresAt: Date.now() + ttl * 1000 })
+    },
+
+    async destroy (id) {
+      await fs.promises.rm(getFilePath(id), { force: true })
+    },
+
+    async touch (id, ttl) {
+      const record = await read(id)
+
+      if (record) {
+        record.expiresAt = Date.now() + ttl * 1000
+        await write(id, record)
+      }
+    }
+  }
+}
+
+//
+// Exports
+//
+module.exports = {
+  createMemoryStore,
+  createFileSystemStore
+}
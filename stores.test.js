@@ -0,0 +1,93 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file stores.test.js
+ */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { test, expect, describe, afterAll } = require('@jest/globals')
+
+const { createMemoryStore, createFileSystemStore } = require('./stores.js')
+
+//
+// Setup / Teardown
+//
+/**
+ * Temporary directory used by the file system store during tests.
+ */
+const STORE_DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'))
+
+/**
+ * After all tests are run:
+ * - Remove the temporary directory used by the file system store.
+ */
+afterAll(() => {
+  fs.rmSync(STORE_DIRECTORY, { recursive: true, force: true })
+})
+
+//
+// Test suites
+//
+const stores = {
+  'createMemoryStore()': () => createMemoryStore(),
+  'createFileSystemStore()': () => createFileSystemStore({ directory: STORE_DIRECTORY })
+}
+
+for (const [name, createStore] of Object.entries(stores)) {
+  describe(`Test suite for the \`${name}\` store:`, () => {
+    test('Saves, reads and destroys session data.', async () => {
+      const store = createStore()
+
+      expect(await store.get('abc123')).toBe(null)
+
+      await store.set('abc123', { foo: 'bar' }, 60)
+      expect(await store.get('abc123')).toEqual({ foo: 'bar' })
+
+      await store.destroy('abc123')
+      expect(await store.get('abc123')).toBe(null)
+
+      // Destroying a session that doesn't exist doesn't throw.
+      await store.destroy('abc123')
+    })
+
+    test('Stores a copy of session data.', async () => {
+      const store = createStore()
+      const data = { foo: 'bar' }
+
+      await store.set('copy', data, 60)
+      data.foo = 'baz'
+      expect(await store.get('copy')).toEqual({ foo: 'bar' })
+    })
+
+    test('Session data expire after `ttl` seconds, unless touched.', async () => {
+      const store = createStore()
+
+      await store.set('expired', { foo: 'bar' }, -1)
+      expect(await store.get('expired')).toBe(null)
+
+      await store.set('touched', { foo: 'bar' }, 60)
+      await store.touch('touched', -1)
+      expect(await store.get('touched')).toBe(null)
+
+      // Touching a session that doesn't exist doesn't create it.
+      await store.touch('missing', 60)
+      expect(await store.get('missing')).toBe(null)
+    })
+  })
+}
+
+describe('Test suite for the `createFileSystemStore()` function:', () => {
+  test('Rejects session IDs that could be used to escape the store directory.', async () => {
+    const store = createFileSystemStore({ directory: STORE_DIRECTORY })
+
+    for (const id of ['../foo', 'foo/bar', '', 12]) {
+      await expect(store.get(id)).rejects.toThrow()
+    }
+  })
+
+  test('Throws if given an invalid directory.', () => {
+    expect(() => createFileSystemStore({ directory: 12 })).toThrow()
+  })
+})
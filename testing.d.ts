@@ -0,0 +1,77 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file testing.d.ts
+ * @description Type definitions for `testing.js`. See `index.d.ts`.
+ */
+import { HandlerEvent, HandlerResponse, ReadSessionReason, SessionContext, SessionData, SessionOptions } from './index'
+
+/**
+ * Session cookie found in a response by `parseSessionResponse()`, with its attributes.
+ */
+export interface ParsedSessionCookie {
+  name: string
+  value: string
+  maxAge?: number
+  expires?: Date
+  domain?: string
+  path?: string
+  sameSite?: string
+  httpOnly?: true
+  secure?: true
+}
+
+/**
+ * Result of `parseSessionResponse()`.
+ */
+export interface ParsedSessionResponse<T extends object = SessionData> {
+  data: T | null
+  reason: ReadSessionReason | null
+  cookies: ParsedSessionCookie[]
+  cookie: string | null
+  cleared: boolean
+}
+
+/**
+ * Session data, a value from one of the `create*SessionCookie()` helpers, or `null` for no session.
+ */
+export type MockSession = SessionData | string | null
+
+/**
+ * Returns a `Cookie` header value holding the given session data.
+ */
+export function createSessionCookie (data: SessionData, options?: SessionOptions): Promise<string>
+
+/**
+ * Same as `createSessionCookie()`, but the session has already expired.
+ */
+export function createExpiredSessionCookie (data: SessionData, options?: SessionOptions): Promise<string>
+
+/**
+ * Same as `createSessionCookie()`, but the cookie was altered after being signed (or encrypted).
+ */
+export function createTamperedSessionCookie (data: SessionData, options?: SessionOptions): Promise<string>
+
+/**
+ * Builds a mock Lambda event for handlers wrapped with `withSession()`.
+ */
+export function createMockEvent (session: MockSession, options?: SessionOptions, event?: Partial<HandlerEvent>): Promise<HandlerEvent>
+
+/**
+ * Builds a mock `Request` for handlers wrapped with `withSessionV2()` or `withEdgeSession()`.
+ */
+export function createMockRequest (session: MockSession, options?: SessionOptions, url?: string, init?: RequestInit): Promise<Request>
+
+/**
+ * Builds a mock function context, usable with all wrappers.
+ */
+export function createMockContext<T extends object = SessionData> (): SessionContext<T> & { clientContext: Record<string, any> }
+
+/**
+ * Reads the session back out of the response of a wrapped handler.
+ */
+export function parseSessionResponse<T extends object = SessionData> (
+  response: HandlerResponse | Response,
+  options?: SessionOptions
+): Promise<ParsedSessionResponse<T>>
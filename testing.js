@@ -0,0 +1,312 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file testing.js
+ * @description Helpers for testing functions that use session cookies, without reimplementing the cookie format.
+ * Available as `netlify-functions-session-cookie/testing.js`.
+ *
+ * - `createSessionCookie()` and its variants issue `Cookie` header values holding a given session.
+ * - `createMockEvent()` and `createMockRequest()` build incoming events (`withSession()`) and requests (`withSessionV2()`, `withEdgeSession()`).
+ * - `parseSessionResponse()` reads the session back out of the response of a wrapped handler.
+ *
+ * All helpers take the same `options` as `withSession()`: they must match the ones given to the handler under test.
+ */
+
+//
+// Imports
+//
+const cookie = require('cookie')
+const { getConfig } = require('./config.js')
+const { readSession, encodeSession, serializeSessionCookies } = require('./core.js')
+
+//
+// Module-level constants
+//
+/**
+ * Base URL of requests built by `createMockRequest()`.
+ * @constant
+ * @private
+ */
+const MOCK_REQUEST_URL = 'https://localhost/'
+
+//
+// Public functions
+//
+/**
+ * Signs (or encrypts) session data and returns them as a `Cookie` header value, ready to be sent to a wrapped handler.
+ * Large sessions are split across numbered cookies, like `withSession()` would.
+ *
+ * Usage:
+ * `event.headers.cookie = await createSessionCookie({ userId: 42 })`
+ *
+ * @param {Object} data - Session data.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<string>} - Value for the `Cookie` header.
+ * @public
+ */
+async function createSessionCookie (data, options = {}) {
+  return await createCookieHeader(data, options)
+}
+
+/**
+ * Same as `createSessionCookie()`, but the session has already expired: wrappers discard it with a `SessionExpiredError`.
+ *
+ * @param {Object} data - Session data.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<string>} - Value for the `Cookie` header.
+ * @public
+ */
+async function createExpiredSessionCookie (data, options = {}) {
+  const now = Math.floor(Date.now() / 1000)
+  return await createCookieHeader(data, options, { iat: now - 3600, lst: now - 3600, exp: now - 1 })
+}
+
+/**
+ * Same as `createSessionCookie()`, but the value of the cookie was altered after being signed (or encrypted):
+ * wrappers discard it with an `InvalidSignatureError`.
+ *
+ * @param {Object} data - Session data.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<string>} - Value for the `Cookie` header.
+ * @public
+ */
+async function createTamperedSessionCookie (data, options = {}) {
+  return await createCookieHeader(data, options, {}, (value) => {
+    // Swaps a character in the middle of the value, which is always part of the signed (or encrypted) payload.
+    const index = Math.floor(value.length / 2)
+    return value.substring(0, index) + (value[index] === 'A' ? 'B' : 'A') + value.substring(index + 1)
+  })
+}
+
+/**
+ * Builds a mock Lambda event for handlers wrapped with `withSession()`.
+ *
+ * Usage:
+ * `const response = await handler(await createMockEvent({ userId: 42 }), createMockContext())`
+ *
+ * @param {?(Object|string)} session - Session data, a value from one of the `create*SessionCookie()` helpers, or `null` for no session.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @param {Object} [event] - Other properties of the event (`httpMethod`, `path`, `headers` ...).
+ * @returns {Promise<Object>}
+ * @public
+ */
+async function createMockEvent (session, options = {}, event = {}) {
+  const headers = { ...event.headers }
+  const cookieHeader = await getCookieHeader(session, options)
+
+  if (cookieHeader) {
+    headers.cookie = cookieHeader
+  }
+
+  return {
+    httpMethod: 'GET',
+    path: '/',
+    queryStringParameters: {},
+    body: null,
+    isBase64Encoded: false,
+    ...event,
+    headers,
+    multiValueHeaders: cookieHeader ? { ...event.multiValueHeaders, cookie: [cookieHeader] } : { ...event.multiValueHeaders }
+  }
+}
+
+/**
+ * Builds a mock `Request` for handlers wrapped with `withSessionV2()` or `withEdgeSession()`.
+ *
+ * @param {?(Object|string)} session - Session data, a value from one of the `create*SessionCookie()` helpers, or `null` for no session.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @param {string} [url] - URL of the request, relative to `MOCK_REQUEST_URL`.
+ * @param {Object} [init] - Options for the `Request` constructor (`method`, `headers`, `body` ...).
+ * @returns {Promise<Request>}
+ * @public
+ */
+async function createMockRequest (session, options = {}, url = '/', init = {}) {
+  const headers = new Headers(init.headers)
+  const cookieHeader = await getCookieHeader(session, options)
+
+  if (cookieHeader) {
+    headers.set('Cookie', cookieHeader)
+  }
+
+  return new Request(new URL(url, MOCK_REQUEST_URL), { ...init, headers })
+}
+
+/**
+ * Builds a mock function context, usable with all wrappers.
+ *
+ * @returns {Object}
+ * @public
+ */
+function createMockContext () {
+  return { clientContext: {} }
+}
+
+/**
+ * Reads the session back out of the response of a wrapped handler.
+ * Accepts Lambda responses (`withSession()`) as well as `Response` objects (`withSessionV2()`, `withEdgeSession()`).
+ *
+ * Returns a promise resolving to:
+ * - `data`: Session data sent back, or `null` if the response doesn't hold a valid session cookie.
+ * - `reason`: `null` if `data` could be read. See `readSession()` for other values.
+ * - `cookies`: Session cookies found in the response, with their attributes. Other cookies are left out.
+ * - `cookie`: Value for the `Cookie` header of the next request, or `null` if no session cookie was sent.
+ * - `cleared`: `true` if the response expires the session cookie (i.e: `destroySession()`).
+ *
+ * @param {(Object|Response)} response - From the wrapped handler.
+ * @param {Object} [options] - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<{data: ?Object, reason: ?string, cookies: Object[], cookie: ?string, cleared: boolean}>}
+ * @public
+ */
+async function parseSessionResponse (response, options = {}) {
+  const { cookieName } = getConfig(options)
+
+  const cookies = getSetCookieValues(response)
+    .map(parseSetCookie)
+    .filter(({ name }) => name === cookieName || name.startsWith(`${cookieName}.`))
+
+  const live = cookies.filter(({ maxAge }) => maxAge !== 0)
+  const cookieHeader = live.length > 0 ? live.map(({ name, value }) => cookie.serialize(name, value)).join('; ') : null
+
+  if (!cookieHeader) {
+    return { data: null, reason: 'missing', cookies, cookie: null, cleared: cookies.length > 0 }
+  }
+
+  const { data, reason } = await readSession(cookieHeader, options)
+  return { data, reason, cookies, cookie: cookieHeader, cleared: false }
+}
+
+//
+// Local functions
+//
+/**
+ * Signs (or encrypts) session data and serializes them into a `Cookie` header value.
+ *
+ * @param {Object} data - Session data.
+ * @param {Object} options - Session cookie configuration. See `withSession()`.
+ * @param {Object} [metadata] - Overrides session metadata. See `encodeSession()` in `core.js`.
+ * @param {function} [alter] - Edits the raw value of the session cookie before it is serialized.
+ * @returns {Promise<string>}
+ * @private
+ */
+async function createCookieHeader (data, options, metadata = {}, alter = (value) => value) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('"data" must be an object.')
+  }
+
+  const config = getConfig(options)
+  const value = alter(await encodeSession(data, config, metadata))
+
+  return serializeSessionCookies(config.cookieName, value, config.cookieOptions, null)
+    .map(setCookie => setCookie.split(';')[0])
+    .join('; ')
+}
+
+/**
+ * Turns the `session` argument of `createMockEvent()` and `createMockRequest()` into a `Cookie` header value.
+ *
+ * @param {?(Object|string)} session - Session data, `Cookie` header value or `null`.
+ * @param {Object} options - Session cookie configuration. See `withSession()`.
+ * @returns {Promise<?string>}
+ * @private
+ */
+async function getCookieHeader (session, options) {
+  if (session === null || session === undefined) {
+    return null
+  }
+
+  if (typeof session === 'string') {
+    return session
+  }
+
+  return await createCookieHeader(session, options)
+}
+
+/**
+ * Collects raw `Set-Cookie` values from a Lambda response or a `Response` object.
+ *
+ * @param {(Object|Response)} response
+ * @returns {string[]}
+ * @private
+ */
+function getSetCookieValues (response) {
+  if (!response) {
+    return []
+  }
+
+  if (response.headers && typeof response.headers.getSetCookie === 'function') {
+    return response.headers.getSetCookie()
+  }
+
+  const values = []
+
+  for (const source of [response.multiValueHeaders, response.headers]) {
+    for (const [name, value] of Object.entries(source || {})) {
+      if (name.toLowerCase() === 'set-cookie') {
+        values.push(...[].concat(value))
+      }
+    }
+  }
+
+  return values
+}
+
+/**
+ * Parses a `Set-Cookie` value into its name, value and attributes.
+ * Attributes use the same names as the options of `cookie.serialize()` (`maxAge`, `httpOnly` ...).
+ *
+ * @param {string} setCookie - Raw `Set-Cookie` value.
+ * @returns {Object} - `{name, value, ...attributes}`
+ * @private
+ */
+function parseSetCookie (setCookie) {
+  const [pair, ...attributes] = setCookie.split(';').map(part => part.trim())
+  const separator = pair.indexOf('=')
+  const parsed = {
+    name: pair.substring(0, separator),
+    value: decodeURIComponent(pair.substring(separator + 1))
+  }
+
+  for (const attribute of attributes) {
+    const [key, value] = attribute.split('=')
+
+    switch (key.toLowerCase()) {
+      case 'max-age':
+        parsed.maxAge = Number(value)
+        break
+      case 'expires':
+        parsed.expires = new Date(value)
+        break
+      case 'domain':
+        parsed.domain = value
+        break
+      case 'path':
+        parsed.path = value
+        break
+      case 'samesite':
+        parsed.sameSite = value
+        break
+      case 'httponly':
+        parsed.httpOnly = true
+        break
+      case 'secure':
+        parsed.secure = true
+        break
+    }
+  }
+
+  return parsed
+}
+
+//
+// Exports
+//
+module.exports = {
+  createSessionCookie,
+  createExpiredSessionCookie,
+  createTamperedSessionCookie,
+  createMockEvent,
+  createMockRequest,
+  createMockContext,
+  parseSessionResponse
+}
@@ -0,0 +1,182 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file testing.test.js
+ */
+const { test, expect, beforeEach, afterAll, describe } = require('@jest/globals')
+
+const {
+  withSession,
+  withSessionV2,
+  getSession,
+  getSessionError,
+  destroySession,
+  readSession,
+  createMemoryStore
+} = require('./index.js')
+const { withEdgeSession } = require('./edge.js')
+
+const {
+  createSessionCookie,
+  createExpiredSessionCookie,
+  createTamperedSessionCookie,
+  createMockEvent,
+  createMockRequest,
+  createMockContext,
+  parseSessionResponse
+} = require('./testing.js')
+const { InvalidSignatureError, SessionExpiredError } = require('./errors.js')
+
+//
+// Environment variable mocks
+//
+const SESSION_COOKIE_SECRET = {
+  valid: '1bWrwcr5sRn+4pJwYboqazGUjcBy8YV5i7VDwKfcXZk='
+}
+
+//
+// Setup / Teardown
+//
+/**
+ * Keep a copy of environment variables before the tests run, so we can alter them on the fly safely.
+ */
+const ENV_BUFFER = process.env
+
+/**
+ * Before each test:
+ * - Create a fresh "burner" copy of `process.env` using `ENV_BUFFER`
+ */
+beforeEach(() => {
+  process.env = Object.assign({}, ENV_BUFFER)
+  process.env.SESSION_COOKIE_SECRET = SESSION_COOKIE_SECRET.valid
+})
+
+/**
+ * After all tests are run:
+ * - Restore `process.env` to its original state
+ */
+afterAll(() => {
+  process.env = ENV_BUFFER
+})
+
+//
+// Test suites
+//
+describe('Test suite for the `create*SessionCookie()` functions:', () => {
+  test('`createSessionCookie()` issues cookies that can be read with the same options.', async () => {
+    for (const options of [{}, { encrypted: true }, { name: 'prefs', compression: 'deflate' }, { store: createMemoryStore() }]) {
+      const cookie = await createSessionCookie({ userId: 42 }, options)
+      expect((await readSession(cookie, options)).data).toEqual({ userId: 42 })
+    }
+  })
+
+  test('`createSessionCookie()` splits large sessions across numbered cookies.', async () => {
+    const data = { history: Array(1000).fill('/some/page') }
+    const cookie = await createSessionCookie(data)
+
+    expect(cookie).toMatch(/^session\.0=.+; session\.1=/)
+    expect((await readSession(cookie)).data).toEqual(data)
+  })
+
+  test('`createExpiredSessionCookie()` and `createTamperedSessionCookie()` issue cookies that are refused.', async () => {
+    for (const options of [{}, { encrypted: true }]) {
+      const expired = await readSession(await createExpiredSessionCookie({ userId: 42 }, options), options)
+      const tampered = await readSession(await createTamperedSessionCookie({ userId: 42 }, options), options)
+
+      expect(expired.error).toBeInstanceOf(SessionExpiredError)
+      expect(tampered.error).toBeInstanceOf(InvalidSignatureError)
+    }
+  })
+
+  test('Throws if not given an object.', async () => {
+    for (const value of [null, 'foo', [], 12]) {
+      await expect(createSessionCookie(value)).rejects.toThrow()
+    }
+  })
+})
+
+describe('Test suite for the `createMockEvent()` and `createMockRequest()` functions:', () => {
+  const handler = async (event, context) => {
+    const session = getSession(context)
+    session.visits = (session.visits || 0) + 1
+    return { statusCode: 200, body: `${session.visits}` }
+  }
+
+  test('Events carry the given session, or cookie.', async () => {
+    let response = await withSession(handler)(await createMockEvent({ visits: 1 }), createMockContext())
+    expect(response.body).toBe('2')
+
+    response = await withSession(handler)(await createMockEvent(null, {}, { path: '/about' }), createMockContext())
+    expect(response.body).toBe('1')
+
+    const context = createMockContext()
+    response = await withSession(handler)(await createMockEvent(await createTamperedSessionCookie({ visits: 5 })), context)
+    expect(response.body).toBe('1')
+    expect(getSessionError(context)).toBeInstanceOf(InvalidSignatureError)
+  })
+
+  test('Requests carry the given session, and can be used with both `withSessionV2()` and `withEdgeSession()`.', async () => {
+    const v2Handler = async (request, context) => {
+      const session = getSession(context)
+      session.visits = (session.visits || 0) + 1
+      return new Response(`${session.visits} ${request.method} ${new URL(request.url).pathname}`)
+    }
+
+    for (const wrap of [withSessionV2, withEdgeSession]) {
+      const request = await createMockRequest({ visits: 1 }, {}, '/cart', { method: 'POST', body: 'foo' })
+      const response = await wrap(v2Handler)(request, {})
+
+      expect(await response.text()).toBe('2 POST /cart')
+    }
+  })
+})
+
+describe('Test suite for the `parseSessionResponse()` function:', () => {
+  test('Reads session data and cookie attributes from Lambda responses.', async () => {
+    const options = { sameSite: 'Strict', path: '/app', maxAge: 600 }
+
+    const response = await withSession(async (event, context) => {
+      getSession(context).userId = 42
+      return { statusCode: 200, headers: { 'Set-Cookie': 'other=1' } }
+    }, options)(await createMockEvent(null), createMockContext())
+
+    const parsed = await parseSessionResponse(response, options)
+
+    expect(parsed.data).toEqual({ userId: 42 })
+    expect(parsed.reason).toBe(null)
+    expect(parsed.cleared).toBe(false)
+    expect(parsed.cookies).toEqual([
+      expect.objectContaining({ name: 'session', path: '/app', maxAge: 600, sameSite: 'Strict', httpOnly: true, secure: true })
+    ])
+
+    // `cookie` can be sent back on the next request.
+    expect((await readSession(parsed.cookie, options)).data).toEqual({ userId: 42 })
+  })
+
+  test('Reads session data from `Response` objects.', async () => {
+    const response = await withSessionV2(async (request, context) => {
+      getSession(context).userId = 42
+      return new Response('OK')
+    })(await createMockRequest(null), {})
+
+    expect((await parseSessionResponse(response)).data).toEqual({ userId: 42 })
+  })
+
+  test('Reports sessions that were destroyed, and responses without a session cookie.', async () => {
+    const handler = withSession(async (event, context) => {
+      if (event.path === '/logout') {
+        destroySession(context)
+      }
+
+      return { statusCode: 200 }
+    })
+
+    let parsed = await parseSessionResponse(await handler(await createMockEvent({ userId: 42 }, {}, { path: '/logout' }), createMockContext()))
+    expect(parsed).toMatchObject({ data: null, reason: 'missing', cookie: null, cleared: true })
+    expect(parsed.cookies[0].maxAge).toBe(0)
+
+    parsed = await parseSessionResponse(await handler(await createMockEvent(null), createMockContext()))
+    expect(parsed).toEqual({ data: null, reason: 'missing', cookies: [], cookie: null, cleared: false })
+  })
+})
@@ -0,0 +1,182 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file types.test-d.ts
+ * @description Type tests for `index.d.ts`, `edge.d.ts` and `testing.d.ts`. Type-checked (never run) by `types.test.js`.
+ * Lines marked with `@ts-expect-error` must fail to compile.
+ */
+import {
+  withSession,
+  withSessionV2,
+  getSession,
+  getSessionError,
+  getSessionId,
+  getCsrfToken,
+  flash,
+  getFlashes,
+  clearSession,
+  destroySession,
+  regenerateSession,
+  readSession,
+  serializeSession,
+  generateSecretKey,
+  createMemoryStore,
+  createFileSystemStore,
+  SessionContext,
+  SessionOptions,
+  SessionError,
+  InvalidSignatureError,
+  SessionValidationError
+} from './index'
+import { withEdgeSession, getSession as getEdgeSession } from './edge'
+import { createMockEvent, createMockContext, parseSessionResponse } from './testing'
+
+//
+// Helpers
+//
+/**
+ * Compiles only if `A` and `B` are the exact same type.
+ */
+type Equals<A, B> = (<X>() => X extends A ? 1 : 2) extends (<X>() => X extends B ? 1 : 2) ? true : false
+declare function expectExactType<A, B> (...checks: Equals<A, B> extends true ? [] : [never]): void
+declare function expectType<T> (value: T): void
+
+interface User {
+  userId: number
+  roles: string[]
+}
+
+interface Cart {
+  items: string[]
+}
+
+//
+// Session data are typed end to end
+//
+export const handler = withSession<User>(async (event, context) => {
+  const session = getSession(context)
+  expectExactType<typeof session, Partial<User>>()
+
+  session.userId = 42
+  // @ts-expect-error: Typo in session key.
+  session.userID = 42
+  // @ts-expect-error: Wrong type.
+  session.roles = 'admin'
+
+  const cart = getSession<Cart>(context, 'cart')
+  expectExactType<typeof cart, Partial<Cart>>()
+
+  return { statusCode: 200 }
+})
+
+// Type is inferred from the handler's `context`.
+withSession(async (event, context: SessionContext<User>) => {
+  expectType<number | undefined>(getSession(context).userId)
+  return { statusCode: 200 }
+})
+
+// Untyped sessions.
+withSession(async (event, context) => {
+  getSession(context).anything = true
+  return { statusCode: 200 }
+})
+
+// A context carrying one type of session can't be read as another one.
+declare const userContext: SessionContext<User>
+// @ts-expect-error: Context holds a `User` session.
+getSession<Cart>(userContext)
+
+//
+// Handler styles
+//
+withSession((event, context) => ({ statusCode: 200 }))
+withSession((event, context, callback) => callback(null, { statusCode: 200 }))
+withSession(async (event) => ({ statusCode: 200, multiValueHeaders: { 'Set-Cookie': ['foo=bar'] }, body: event.path }))
+// @ts-expect-error: Lambda responses need a status code.
+withSession(async () => ({ body: 'OK' }))
+// @ts-expect-error: Handlers must be functions.
+withSession({})
+
+withSessionV2<User>(async (request, context) => {
+  getSession(context).userId = 1
+  return new Response(request.url)
+})
+withSessionV2(() => new Response('OK'))
+
+withEdgeSession<User>(async (request, context) => {
+  getEdgeSession(context).userId = 1
+  expectType<Promise<Response>>(context.next())
+})
+
+//
+// Options
+//
+const options: SessionOptions = {
+  name: 'session',
+  secret: [generateSecretKey(), generateSecretKey()],
+  sameSite: 'Strict',
+  maxAge: 3600,
+  encrypted: true,
+  expiryMode: 'rolling',
+  rollingThreshold: 0.5,
+  store: createMemoryStore(),
+  failurePolicy: { 'invalid-signature': 'reject', expired: 'throw' },
+  csrf: { headerName: 'x-xsrf-token' },
+  onLoad: ({ session, keyIndex, cookieSize, name }) => {},
+  onInvalid: async ({ error, event }) => { expectType<SessionError>(error) },
+  onSave: ({ cookies, destroyed }) => {},
+  sessions: { cart: { maxAge: 60, schema: { type: 'object' } } },
+  codec: { name: 'custom', encode: (data) => JSON.stringify(data), decode: (value) => JSON.parse(value) },
+  compression: 'brotli',
+  schema: {
+    type: 'object',
+    required: ['userId'],
+    properties: { userId: { type: 'integer', minimum: 1 }, roles: { type: 'array', items: { enum: ['admin'] } } }
+  },
+  migrations: [(data) => ({ userId: data.id }), (data) => { data.roles = [] }]
+}
+
+withSession(async () => ({ statusCode: 200 }), options)
+withSession(async () => ({ statusCode: 200 }), { store: createFileSystemStore({ directory: '/tmp' }), schema: (data) => typeof data.userId === 'number' })
+
+// @ts-expect-error: Unknown option.
+withSession(async () => ({ statusCode: 200 }), { foo: 'bar' })
+// @ts-expect-error: Invalid expiry mode.
+withSession(async () => ({ statusCode: 200 }), { expiryMode: 'sliding' })
+// @ts-expect-error: Unknown failure case.
+withSession(async () => ({ statusCode: 200 }), { failurePolicy: { 'too-old': 'reset' } })
+// @ts-expect-error: `csrf` only applies to the default session.
+withSession(async () => ({ statusCode: 200 }), { sessions: { cart: { csrf: true } } })
+
+//
+// Other functions
+//
+declare const context: SessionContext
+
+expectType<SessionError | null>(getSessionError(context))
+expectType<string | null>(getSessionId(context, 'cart'))
+expectType<string>(getCsrfToken(context))
+expectType<string>(regenerateSession(context, { keepData: false, name: 'cart' }))
+expectType<void>(flash(context, 'info', { text: 'Hello' }))
+expectType<Array<{ category: string, message: string }>>(getFlashes<string>(context, 'info'))
+expectType<void>(clearSession(context))
+expectType<void>(destroySession(context, 'cart'))
+expectType<Promise<string>>(serializeSession<User>({ userId: 1, roles: [] }, options))
+
+async function readSessionTypes (): Promise<void> {
+  const { data, reason, error } = await readSession<User>('session=...')
+  expectType<User | null>(data)
+  expectType<'missing' | 'invalid-signature' | 'malformed-payload' | 'expired' | 'invalid-schema' | 'not-found' | null>(reason)
+  expectType<SessionError | null>(error)
+
+  const parsed = await parseSessionResponse<User>(await handler(await createMockEvent({ userId: 1 }), createMockContext()))
+  expectType<User | null>(parsed.data)
+  expectType<number | undefined>(parsed.cookies[0].maxAge)
+}
+
+readSessionTypes()
+
+// Error classes.
+expectType<'invalid-signature'>(new InvalidSignatureError().code)
+expectType<SessionError>(new SessionValidationError('Oops'))
@@ -0,0 +1,83 @@
+/**
+ * @module netlify-functions-session-cookie
+ * @author Matteo Cargnelutti
+ * @license MIT
+ * @file types.test.js
+ */
+const path = require('path')
+const ts = require('typescript')
+const { test, expect, describe } = require('@jest/globals')
+
+//
+// Module-level constants
+//
+/**
+ * Options used to type-check the type definitions and `types.test-d.ts`.
+ */
+const COMPILER_OPTIONS = {
+  strict: true,
+  noEmit: true,
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.CommonJS,
+  moduleResolution: ts.ModuleResolutionKind.Node10,
+  lib: ['lib.es2022.d.ts', 'lib.dom.d.ts'],
+  types: []
+}
+
+/**
+ * Entry points of the library, and their type definitions.
+ */
+const ENTRY_POINTS = ['index', 'edge', 'testing']
+
+//
+// Helpers
+//
+/**
+ * Type-checks `types.test-d.ts` (and, through it, the type definitions).
+ * Built once, shared across tests.
+ */
+const program = ts.createProgram([path.join(__dirname, 'types.test-d.ts')], COMPILER_OPTIONS)
+
+/**
+ * Returns the names of the values (not types) exported by a type definition file.
+ * @param {string} entryPoint
+ * @returns {string[]}
+ */
+function getDeclaredExports (entryPoint) {
+  const checker = program.getTypeChecker()
+  const source = program.getSourceFile(path.join(__dirname, `${entryPoint}.d.ts`))
+
+  return checker.getExportsOfModule(checker.getSymbolAtLocation(source))
+    .filter(symbol => {
+      const target = symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol
+      return Boolean(target.flags & ts.SymbolFlags.Value)
+    })
+    .map(symbol => symbol.getName())
+}
+
+//
+// Test suites
+//
+describe('Test suite for type definitions:', () => {
+  test('Type definitions and type tests compile, and lines marked with `@ts-expect-error` fail to.', () => {
+    const diagnostics = ts.getPreEmitDiagnostics(program).map(diagnostic => {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+
+      if (!diagnostic.file) {
+        return message
+      }
+
+      const { line } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+      return `${path.basename(diagnostic.file.fileName)}:${line + 1}: ${message}`
+    })
+
+    expect(diagnostics).toEqual([])
+  })
+
+  test('Every entry point declares the values it exports, and nothing else.', () => {
+    for (const entryPoint of ENTRY_POINTS) {
+      const exported = Object.keys(require(`./${entryPoint}.js`)).sort()
+      expect([entryPoint, getDeclaredExports(entryPoint).sort()]).toEqual([entryPoint, exported])
+    }
+  })
+})